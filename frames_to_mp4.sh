@@ -1,14 +1,18 @@
 #!/bin/bash
 
 # Convert particle animation frames to MP4 video
-# Usage: ./frames_to_mp4.sh
+# Usage: ./frames_to_mp4.sh                      (loose frame_*.jpg files in ~/Downloads)
+#        ./frames_to_mp4.sh particle-frames.zip  (archive from "Export Frames", .zip or .tar)
+#        ./frames_to_mp4.sh particle-frames.zip particles/matte  (one sequence of a multi-pass export)
 
 # Configuration
 DOWNLOADS_DIR="$HOME/Downloads"
 OUTPUT_DIR="$HOME/Downloads"
-FRAME_PATTERN="frame_*.jpg"
+FRAME_EXT="jpg"
 OUTPUT_NAME="particle_animation_$(date +%Y%m%d_%H%M%S).mp4"
 FRAMERATE=30
+ARCHIVE="$1"
+SEQUENCE="$2"
 
 # Colors for output
 RED='\033[0;31m'
@@ -26,7 +30,62 @@ if ! command -v ffmpeg &> /dev/null; then
     exit 1
 fi
 
-# Check if frames exist in Downloads
+# Unpack an exported archive into a temporary folder and take fps/format from its manifest
+if [ -n "$ARCHIVE" ]; then
+    if [ ! -f "$ARCHIVE" ]; then
+        echo -e "${RED}Error: Archive '$ARCHIVE' not found${NC}"
+        exit 1
+    fi
+    ARCHIVE=$(cd "$(dirname "$ARCHIVE")" && pwd)/$(basename "$ARCHIVE")
+    UNPACK_DIR=$(mktemp -d)
+    DOWNLOADS_DIR="$UNPACK_DIR"
+    trap 'rm -rf "$UNPACK_DIR"' EXIT
+
+    case "$ARCHIVE" in
+        *.zip)
+            unzip -q "$ARCHIVE" -d "$DOWNLOADS_DIR" || { echo -e "${RED}Error: Could not unzip $ARCHIVE${NC}"; exit 1; }
+            ;;
+        *.tar)
+            tar -xf "$ARCHIVE" -C "$DOWNLOADS_DIR" || { echo -e "${RED}Error: Could not untar $ARCHIVE${NC}"; exit 1; }
+            ;;
+        *)
+            echo -e "${RED}Error: Expected a .zip or .tar archive${NC}"
+            exit 1
+            ;;
+    esac
+
+    MANIFEST="$DOWNLOADS_DIR/manifest.json"
+    if [ -f "$MANIFEST" ]; then
+        FRAMERATE=$(grep -o '"fps": *[0-9.]*' "$MANIFEST" | grep -o '[0-9.]*$')
+        FRAME_EXT=$(grep -o '"format": *"[a-z]*"' "$MANIFEST" | sed 's/.*"\([a-z]*\)"$/\1/')
+        HASH=$(grep -o '"animationHash": *"[0-9a-f]*"' "$MANIFEST" | sed 's/.*"\([0-9a-f]*\)"$/\1/')
+        echo -e "Manifest: ${GREEN}${FRAMERATE}fps, ${FRAME_EXT}, animation ${HASH}${NC}"
+        if grep -q '"alpha": *true' "$MANIFEST"; then
+            echo -e "${YELLOW}Frames have alpha; the MP4 flattens them onto black${NC}"
+        fi
+        [ -n "$HASH" ] && OUTPUT_NAME="particle_animation_${HASH}.mp4"
+
+        # Multi-pass / matte exports keep each image sequence in its own folder
+        SEQUENCES=$(tr -d '\n' < "$MANIFEST" | grep -o '"sequences": *\[[^]]*\]' | grep -o '"[^"]*"' | tr -d '"' | grep -v '^sequences$')
+        if [ -n "$SEQUENCES" ] && [ "$SEQUENCES" != "." ]; then
+            echo -e "Sequences: ${GREEN}$(echo $SEQUENCES)${NC}"
+            [ -z "$SEQUENCE" ] && SEQUENCE=$(echo "$SEQUENCES" | head -n1)
+        fi
+    fi
+
+    if [ -n "$SEQUENCE" ] && [ "$SEQUENCE" != "." ]; then
+        if [ ! -d "$DOWNLOADS_DIR/$SEQUENCE" ]; then
+            echo -e "${RED}Error: Sequence '$SEQUENCE' not found in the archive${NC}"
+            exit 1
+        fi
+        echo -e "Converting sequence: ${GREEN}$SEQUENCE${NC}"
+        OUTPUT_NAME="${OUTPUT_NAME%.mp4}_$(echo "$SEQUENCE" | tr '/' '_').mp4"
+        DOWNLOADS_DIR="$DOWNLOADS_DIR/$SEQUENCE"
+    fi
+fi
+FRAME_PATTERN="frame_*.$FRAME_EXT"
+
+# Check if frames exist
 cd "$DOWNLOADS_DIR" || exit 1
 FRAME_COUNT=$(ls -1 $FRAME_PATTERN 2>/dev/null | wc -l)
 
@@ -38,7 +97,7 @@ fi
 echo -e "${YELLOW}Found $FRAME_COUNT frames in $DOWNLOADS_DIR${NC}"
 
 # Get the first frame number
-FIRST_FRAME=$(ls -1 frame_*.jpg | head -n1 | sed 's/frame_//;s/.jpg//')
+FIRST_FRAME=$(ls -1 $FRAME_PATTERN | head -n1 | sed "s/frame_//;s/.$FRAME_EXT//")
 echo -e "First frame number: ${GREEN}$FIRST_FRAME${NC}"
 
 # Get frame dimensions from first frame
@@ -56,13 +115,13 @@ echo ""
 echo -e "${YELLOW}Converting frames to MP4...${NC}"
 
 # Try glob pattern first (Linux/Mac)
-if ffmpeg -framerate $FRAMERATE -pattern_type glob -i 'frame_*.jpg' -c:v libx264 -pix_fmt yuv420p -crf 18 -y "$OUTPUT_DIR/test.mp4" 2>/dev/null; then
+if ffmpeg -framerate $FRAMERATE -pattern_type glob -i "$FRAME_PATTERN" -c:v libx264 -pix_fmt yuv420p -crf 18 -y "$OUTPUT_DIR/test.mp4" 2>/dev/null; then
     rm -f "$OUTPUT_DIR/test.mp4"
     echo "Using glob pattern..."
     
     ffmpeg -framerate $FRAMERATE \
            -pattern_type glob \
-           -i 'frame_*.jpg' \
+           -i "$FRAME_PATTERN" \
            -c:v libx264 \
            -pix_fmt yuv420p \
            -crf 18 \
@@ -78,7 +137,7 @@ else
     # Use sequence pattern (more compatible)
     ffmpeg -framerate $FRAMERATE \
            -start_number "$FIRST_FRAME" \
-           -i "frame_%05d.jpg" \
+           -i "frame_%05d.$FRAME_EXT" \
            -c:v libx264 \
            -pix_fmt yuv420p \
            -crf 18 \
@@ -113,11 +172,17 @@ if [ -f "$OUTPUT_DIR/$OUTPUT_NAME" ]; then
         fi
     fi
     
-    # Ask before deleting frames
-    read -p "Delete the original frame files? (y/n) " -n 1 -r
-    echo ""
+    # Unpacked archives are removed on exit; only ask about loose frames
+    if [ -n "$ARCHIVE" ]; then
+        REPLY="n"
+    else
+        read -p "Delete the original frame files? (y/n) " -n 1 -r
+        echo ""
+    fi
     
-    if [[ $REPLY =~ ^[Yy]$ ]]; then
+    if [ -n "$ARCHIVE" ]; then
+        echo -e "${YELLOW}Archive kept at $ARCHIVE${NC}"
+    elif [[ $REPLY =~ ^[Yy]$ ]]; then
         echo -e "${YELLOW}Deleting frames...${NC}"
         rm -f $FRAME_PATTERN
         echo -e "${GREEN}✓ Frames deleted${NC}"
@@ -139,9 +204,9 @@ else
         echo ""
         echo "Debugging frame sequence:"
         echo "First 5 frames:"
-        ls -1 frame_*.jpg | head -5
+        ls -1 $FRAME_PATTERN | head -5
         echo "Last 5 frames:"
-        ls -1 frame_*.jpg | tail -5
+        ls -1 $FRAME_PATTERN | tail -5
     else
         echo -e "${RED}FFmpeg test failed. Check ffmpeg installation.${NC}"
     fi
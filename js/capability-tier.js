@@ -0,0 +1,103 @@
+// capability-tier.js — How much motion and GPU work a page should attempt on this device
+//
+// Tiers, most capable first:
+//   full           — everything on
+//   low-power      — few cores, little memory, Save-Data or a low battery that isn't charging:
+//                    pixel ratio 1 and a capped particle count
+//   reduced-motion — prefers-reduced-motion: no turbulence, no flying particles or autoplaying
+//                    intro; sections change by gentle fades only
+//   static         — no WebGL: static public/new/section*.png images
+// Reduced motion wins over low power. `?tier=<name>` in the URL forces a tier for testing.
+
+export const CAPABILITY_TIERS = ['full', 'low-power', 'reduced-motion', 'static'];
+
+export const TIER_SETTINGS = {
+  full: { maxPixelRatio: 2, particleCap: Infinity, turbulence: true, motion: true, webgl: true },
+  'low-power': { maxPixelRatio: 1, particleCap: 6000, turbulence: true, motion: true, webgl: true },
+  'reduced-motion': { maxPixelRatio: 1, particleCap: 6000, turbulence: false, motion: false, webgl: true },
+  static: { maxPixelRatio: 1, particleCap: 0, turbulence: false, motion: false, webgl: false }
+};
+
+const LOW_POWER_CORES = 4; // navigator.hardwareConcurrency at or below this
+const LOW_POWER_MEMORY = 4; // navigator.deviceMemory (GB) at or below this
+const LOW_BATTERY = 0.2;
+
+export const STATIC_SECTION_IMAGES = [
+  './public/new/section1.png',
+  './public/new/section2.png',
+  './public/new/section3.png',
+  './public/new/section4.png',
+  './public/new/section5.png'
+];
+
+export const prefersReducedMotion = () =>
+  typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+function hasWebGL() {
+  try {
+    const canvas = document.createElement('canvas');
+    return !!(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Reasons the device looks low-powered (empty if none)
+async function lowPowerReasons() {
+  const reasons = [];
+  if (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= LOW_POWER_CORES) {
+    reasons.push(`${navigator.hardwareConcurrency} cores`);
+  }
+  if (navigator.deviceMemory && navigator.deviceMemory <= LOW_POWER_MEMORY) reasons.push(`${navigator.deviceMemory}GB memory`);
+  if (navigator.connection && navigator.connection.saveData) reasons.push('Save-Data');
+  // There is no battery-saver query; a low battery that isn't charging is the closest signal
+  if (typeof navigator.getBattery === 'function') {
+    try {
+      const battery = await navigator.getBattery();
+      if (!battery.charging && battery.level <= LOW_BATTERY) reasons.push('low battery');
+    } catch (e) {
+      // Battery status blocked by permissions policy
+    }
+  }
+  return reasons;
+}
+
+async function detect() {
+  const forced = new URLSearchParams(window.location.search).get('tier');
+  if (CAPABILITY_TIERS.includes(forced)) return { name: forced, reasons: ['?tier'], ...TIER_SETTINGS[forced] };
+
+  let name = 'full';
+  let reasons = [];
+  if (!hasWebGL()) {
+    name = 'static';
+    reasons = ['no WebGL'];
+  } else if (prefersReducedMotion()) {
+    name = 'reduced-motion';
+    reasons = ['prefers-reduced-motion'];
+  } else {
+    reasons = await lowPowerReasons();
+    if (reasons.length) name = 'low-power';
+  }
+  return { name, reasons, ...TIER_SETTINGS[name] };
+}
+
+// Resolves to { name, reasons, ...TIER_SETTINGS[name] }; detected once per page
+let detected = null;
+export function detectCapabilityTier() {
+  if (!detected) detected = detect();
+  return detected;
+}
+
+// Put section image i into element i (nulls skipped) for pages that render nothing else.
+// body.static-sections lets the page's CSS hide its canvas and videos.
+export function showStaticSections(elements, images = STATIC_SECTION_IMAGES) {
+  document.body.classList.add('static-sections');
+  elements.forEach((element, i) => {
+    if (!element || !images[i]) return;
+    const img = document.createElement('img');
+    img.src = images[i];
+    img.alt = '';
+    img.className = 'static-section';
+    element.appendChild(img);
+  });
+}
@@ -0,0 +1,79 @@
+// cells-baker.js — In-browser port of make_cells_bin.py
+// Turns an <img>, canvas, ImageBitmap, ImageData or File/Blob into the same structure loadCellsBin returns.
+
+import { allocateCells } from './cells-bin.js';
+import { resampleCells } from './cells-sampling.js';
+
+export const DEFAULT_BAKE_OPTIONS = {
+  block: 1, // Pixels per cell edge (--block)
+  black: 10, // Min luma to keep a cell (--black)
+  alpha: 8, // Min alpha to keep a cell (--alpha)
+  sampling: 'grid', // 'grid' | 'importance' | 'poisson' | 'stipple' (--sample)
+  budget: 12000, // Particle count for non-grid sampling (--budget)
+  seed: 1 // (--seed)
+};
+
+const luma = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+export async function bakeCells(source, options = {}) {
+  const { block, black, alpha, sampling, budget, seed } = { ...DEFAULT_BAKE_OPTIONS, ...options };
+  const { data: px, width: w } = await readPixels(source);
+  const h = px.length / 4 / w;
+  const wCells = Math.floor(w / block), hCells = Math.floor(h / block);
+  if (wCells === 0 || hCells === 0) throw new Error(`Image smaller than one ${block}px block`);
+
+  // First pass: block averages, kept as packed entries until we know the count
+  const entries = [];
+  const n = block * block;
+  for (let jy = 0; jy < hCells; jy++) {
+    for (let ix = 0; ix < wCells; ix++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let y = jy * block; y < jy * block + block; y++) {
+        for (let x = ix * block; x < ix * block + block; x++) {
+          const p = (y * w + x) * 4;
+          r += px[p]; g += px[p + 1]; b += px[p + 2]; a += px[p + 3];
+        }
+      }
+      // Integer division like the Python baker so both produce identical files
+      const R = Math.floor(r / n), G = Math.floor(g / n), B = Math.floor(b / n), A = Math.floor(a / n);
+      if (A < alpha || luma(R, G, B) < black) continue;
+      entries.push(ix, jy, R, G, B, A);
+    }
+  }
+
+  const count = entries.length / 6;
+  const data = allocateCells(count, wCells, hCells, block);
+  const { uvs, colors } = data;
+  for (let i = 0; i < count; i++) {
+    const e = i * 6;
+    // Same float32 values the .bin would carry, with the loader's Y flip
+    uvs[i * 2 + 0] = Math.fround((entries[e] + 0.5) / wCells);
+    uvs[i * 2 + 1] = 1.0 - Math.fround((entries[e + 1] + 0.5) / hCells);
+    colors[i * 4 + 0] = entries[e + 2];
+    colors[i * 4 + 1] = entries[e + 3];
+    colors[i * 4 + 2] = entries[e + 4];
+    colors[i * 4 + 3] = entries[e + 5];
+  }
+  return resampleCells(data, { mode: sampling, budget, seed });
+}
+
+// RGBA pixels of any drawable source (or an image File/Blob)
+async function readPixels(source) {
+  if (typeof ImageData !== 'undefined' && source instanceof ImageData) return source;
+
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    source = await createImageBitmap(source, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+  } else if (typeof HTMLImageElement !== 'undefined' && source instanceof HTMLImageElement && !source.complete) {
+    await source.decode();
+  }
+
+  const w = source.naturalWidth || source.videoWidth || source.width;
+  const h = source.naturalHeight || source.videoHeight || source.height;
+
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(w, h)
+    : Object.assign(document.createElement('canvas'), { width: w, height: h });
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0);
+  return ctx.getImageData(0, 0, w, h);
+}
@@ -0,0 +1,250 @@
+// cells-bin.js — Shared loader for the pre-baked cells.bin formats written by make_cells_bin.py
+//
+// CEL1: header + per cell (uvx f32, uvy f32, r, g, b, a)
+// CEL2: same header, `flags` declares optional per-cell channels that follow the RGBA bytes
+//       in bit order: depth (f32), size weight (f32), group id (u16), normal (3 x i8, snorm)
+// CEL3: packed variant of CEL2. Same header; the high flag bits describe the packing.
+//       Optional palette (u16 size + RGBA entries), then the body stored column by column:
+//       u16 quantized uvx[], uvy[] (optionally delta coded), colours as RGBA[] or u8 index[],
+//       then the CEL2 channels. With DEFLATE the body (palette included) is one zlib stream.
+
+import { inflateSync } from './inflate.js';
+
+export const CEL1_MAGIC = 0x43454C31; // 'CEL1'
+export const CEL2_MAGIC = 0x43454C32; // 'CEL2'
+export const CEL3_MAGIC = 0x43454C33; // 'CEL3'
+
+export const CELL_FLAGS = {
+  DEPTH: 1 << 0,
+  SIZE: 1 << 1,
+  GROUP: 1 << 2,
+  NORMAL: 1 << 3
+};
+
+export const PACK_FLAGS = {
+  PALETTE: 1 << 8,
+  DELTA: 1 << 9,
+  DEFLATE: 1 << 10
+};
+
+const HEADER_BYTES = 16;
+
+export async function loadCellsBin(url) {
+  const res = await fetch(url, { cache: 'no-cache' });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  const buf = await res.arrayBuffer();
+  return decodeCellsBin(buf);
+}
+
+// Accepts any version; inflates deflated CEL3 bodies before parsing
+export async function decodeCellsBin(buf) {
+  const dv = new DataView(buf);
+  if (dv.getUint32(0, true) === CEL3_MAGIC && (dv.getUint16(14, true) & PACK_FLAGS.DEFLATE)) {
+    const body = await inflate(new Uint8Array(buf, HEADER_BYTES));
+    const joined = new Uint8Array(HEADER_BYTES + body.length);
+    joined.set(new Uint8Array(buf, 0, HEADER_BYTES));
+    joined.set(body, HEADER_BYTES);
+    return parseCellsBin(joined.buffer, { inflated: true });
+  }
+  return parseCellsBin(buf);
+}
+
+async function inflate(bytes) {
+  if (typeof DecompressionStream === 'undefined') return inflateSync(bytes);
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export function parseCellsBin(buf, { inflated = false } = {}) {
+  const dv = new DataView(buf);
+  let o = 0;
+
+  const MAGIC = dv.getUint32(o, true); o += 4;
+  if (MAGIC === CEL3_MAGIC) return parsePackedCells(dv, inflated);
+  if (MAGIC !== CEL1_MAGIC && MAGIC !== CEL2_MAGIC) throw new Error('Bad magic in cells.bin');
+  const version = MAGIC === CEL2_MAGIC ? 2 : 1;
+  const count = dv.getUint32(o, true); o += 4;
+  const wCells = dv.getUint16(o, true); o += 2;
+  const hCells = dv.getUint16(o, true); o += 2;
+  const block = dv.getUint16(o, true); o += 2;
+  // CEL1 files always wrote 0 here, but only trust the flags for CEL2
+  const flags = version === 2 ? dv.getUint16(o, true) : 0; o += 2;
+
+  const data = allocateCells(count, wCells, hCells, block);
+  data.version = version;
+  data.flags = flags;
+  const { uvs, colors, depths, sizes, groups, normals } = data;
+
+  for (let i = 0; i < count; i++) {
+    uvs[i * 2 + 0] = dv.getFloat32(o, true); o += 4;
+    uvs[i * 2 + 1] = 1.0 - dv.getFloat32(o, true); o += 4; // FLIP Y HERE
+    colors[i * 4 + 0] = dv.getUint8(o++); // R
+    colors[i * 4 + 1] = dv.getUint8(o++); // G
+    colors[i * 4 + 2] = dv.getUint8(o++); // B
+    colors[i * 4 + 3] = dv.getUint8(o++); // A
+
+    if (flags & CELL_FLAGS.DEPTH) {
+      depths[i] = dv.getFloat32(o, true); o += 4;
+    }
+    if (flags & CELL_FLAGS.SIZE) {
+      sizes[i] = dv.getFloat32(o, true); o += 4;
+    }
+    if (flags & CELL_FLAGS.GROUP) {
+      groups[i] = dv.getUint16(o, true); o += 2;
+    }
+    if (flags & CELL_FLAGS.NORMAL) {
+      normals[i * 3 + 0] = dv.getInt8(o++) / 127;
+      normals[i * 3 + 1] = -dv.getInt8(o++) / 127; // Y flipped with the UVs
+      normals[i * 3 + 2] = dv.getInt8(o++) / 127;
+    }
+  }
+  return data;
+}
+
+function parsePackedCells(dv, inflated) {
+  const count = dv.getUint32(4, true);
+  const wCells = dv.getUint16(8, true);
+  const hCells = dv.getUint16(10, true);
+  const block = dv.getUint16(12, true);
+  const flags = dv.getUint16(14, true);
+  if ((flags & PACK_FLAGS.DEFLATE) && !inflated) throw new Error('Deflated cells.bin: use decodeCellsBin');
+  let o = HEADER_BYTES;
+
+  const data = allocateCells(count, wCells, hCells, block);
+  data.version = 3;
+  data.flags = flags & 0xFF; // channel flags only, same meaning as CEL2
+  const { uvs, colors, depths, sizes, groups, normals } = data;
+
+  let palette = null;
+  if (flags & PACK_FLAGS.PALETTE) {
+    const size = dv.getUint16(o, true); o += 2;
+    palette = new Uint8Array(dv.buffer, dv.byteOffset + o, size * 4); o += size * 4;
+  }
+
+  // Quantized uv columns; delta coding wraps around at 16 bits
+  const delta = flags & PACK_FLAGS.DELTA;
+  for (let axis = 0; axis < 2; axis++) {
+    let q = 0;
+    for (let i = 0; i < count; i++) {
+      const v = dv.getUint16(o, true); o += 2;
+      q = delta ? (q + v) & 0xFFFF : v;
+      uvs[i * 2 + axis] = axis === 0 ? q / 65535 : 1.0 - q / 65535; // FLIP Y HERE
+    }
+  }
+
+  if (palette) {
+    for (let i = 0; i < count; i++) {
+      const p = dv.getUint8(o++) * 4;
+      colors[i * 4 + 0] = palette[p];
+      colors[i * 4 + 1] = palette[p + 1];
+      colors[i * 4 + 2] = palette[p + 2];
+      colors[i * 4 + 3] = palette[p + 3];
+    }
+  } else {
+    colors.set(new Uint8Array(dv.buffer, dv.byteOffset + o, count * 4)); o += count * 4;
+  }
+
+  if (flags & CELL_FLAGS.DEPTH) {
+    for (let i = 0; i < count; i++) { depths[i] = dv.getFloat32(o, true); o += 4; }
+  }
+  if (flags & CELL_FLAGS.SIZE) {
+    for (let i = 0; i < count; i++) { sizes[i] = dv.getFloat32(o, true); o += 4; }
+  }
+  if (flags & CELL_FLAGS.GROUP) {
+    for (let i = 0; i < count; i++) { groups[i] = dv.getUint16(o, true); o += 2; }
+  }
+  if (flags & CELL_FLAGS.NORMAL) {
+    for (let i = 0; i < count; i++) {
+      normals[i * 3 + 0] = dv.getInt8(o++) / 127;
+      normals[i * 3 + 1] = -dv.getInt8(o++) / 127; // Y flipped with the UVs
+      normals[i * 3 + 2] = dv.getInt8(o++) / 127;
+    }
+  }
+  return data;
+}
+
+// Serialize cell data back to CEL1 bytes (CEL2 when it carries optional channels)
+export function encodeCellsBin({ count, wCells, hCells, block = 1, flags = 0, uvs, colors, depths, sizes, groups, normals }) {
+  flags &= 0xFF; // packing bits don't apply to the unpacked formats
+  const buf = new ArrayBuffer(HEADER_BYTES + count * cellEntryBytes(flags));
+  const dv = new DataView(buf);
+  let o = 0;
+
+  dv.setUint32(o, flags ? CEL2_MAGIC : CEL1_MAGIC, true); o += 4;
+  dv.setUint32(o, count, true); o += 4;
+  dv.setUint16(o, wCells, true); o += 2;
+  dv.setUint16(o, hCells, true); o += 2;
+  dv.setUint16(o, block, true); o += 2;
+  dv.setUint16(o, flags, true); o += 2;
+
+  const snorm = (v) => Math.max(-127, Math.min(127, Math.round(v * 127)));
+  for (let i = 0; i < count; i++) {
+    dv.setFloat32(o, uvs[i * 2 + 0], true); o += 4;
+    dv.setFloat32(o, 1.0 - uvs[i * 2 + 1], true); o += 4; // UNDO LOADER Y FLIP
+    dv.setUint8(o++, colors[i * 4 + 0]);
+    dv.setUint8(o++, colors[i * 4 + 1]);
+    dv.setUint8(o++, colors[i * 4 + 2]);
+    dv.setUint8(o++, colors[i * 4 + 3]);
+
+    if (flags & CELL_FLAGS.DEPTH) {
+      dv.setFloat32(o, depths[i], true); o += 4;
+    }
+    if (flags & CELL_FLAGS.SIZE) {
+      dv.setFloat32(o, sizes[i], true); o += 4;
+    }
+    if (flags & CELL_FLAGS.GROUP) {
+      dv.setUint16(o, groups[i], true); o += 2;
+    }
+    if (flags & CELL_FLAGS.NORMAL) {
+      dv.setInt8(o++, snorm(normals[i * 3 + 0]));
+      dv.setInt8(o++, snorm(-normals[i * 3 + 1]));
+      dv.setInt8(o++, snorm(normals[i * 3 + 2]));
+    }
+  }
+  return buf;
+}
+
+// Bytes per entry for a given set of flags (header excluded)
+export function cellEntryBytes(flags) {
+  let bytes = 12;
+  if (flags & CELL_FLAGS.DEPTH) bytes += 4;
+  if (flags & CELL_FLAGS.SIZE) bytes += 4;
+  if (flags & CELL_FLAGS.GROUP) bytes += 2;
+  if (flags & CELL_FLAGS.NORMAL) bytes += 3;
+  return bytes;
+}
+
+// Cell arrays with neutral defaults for the optional channels, so callers can always
+// bind every instance attribute whether or not the file carried it
+export function allocateCells(count, wCells, hCells, block) {
+  const depths = new Float32Array(count); // z = 0
+  const sizes = new Float32Array(count).fill(1.0); // uniform size
+  const groups = new Float32Array(count); // group 0
+  const normals = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    normals[i * 3 + 2] = 1.0; // facing the camera
+  }
+  return {
+    count, wCells, hCells, block,
+    version: 1,
+    flags: 0,
+    uvs: new Float32Array(count * 2),
+    colors: new Uint8Array(count * 4),
+    depths, sizes, groups, normals
+  };
+}
+
+export function fallbackCells() {
+  const count = 5000, wCells = 100, hCells = 50, block = 4;
+  const data = allocateCells(count, wCells, hCells, block);
+  const { uvs, colors } = data;
+  for (let i = 0; i < count; i++) {
+    uvs[i * 2 + 0] = Math.random();
+    uvs[i * 2 + 1] = Math.random();
+    colors[i * 4 + 0] = Math.random() * 255;
+    colors[i * 4 + 1] = Math.random() * 255;
+    colors[i * 4 + 2] = Math.random() * 255;
+    colors[i * 4 + 3] = 255;
+  }
+  return data;
+}
@@ -0,0 +1,242 @@
+// cells-sampling.js — Alternative cell generation modes on top of the baked grid
+//
+// The grid cells (from make_cells_bin.py, the .bin loader or cells-baker.js) are treated as a
+// density field and resampled to an exact particle budget:
+//   'grid'       — unchanged, one particle per kept block
+//   'importance' — luminance-weighted random samples
+//   'poisson'    — Poisson-disk samples over the kept area
+//   'stipple'    — weighted Voronoi stippling (Lloyd relaxation towards the luminance)
+
+import { allocateCells } from './cells-bin.js';
+import { createPointGrid } from './point-grid.js';
+
+export const SAMPLING_MODES = ['grid', 'importance', 'poisson', 'stipple'];
+
+export const DEFAULT_SAMPLING_OPTIONS = {
+  mode: 'grid',
+  budget: 12000, // Exact particle count for every mode except 'grid'
+  seed: 1,
+  stippleIterations: 8
+};
+
+const luma = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+// Small seeded PRNG (mulberry32) so the same image always gives the same particles
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function resampleCells(data, options = {}) {
+  const { mode, budget, seed, stippleIterations } = { ...DEFAULT_SAMPLING_OPTIONS, ...options };
+  if (mode === 'grid' || data.count === 0 || !(budget > 0)) return data;
+
+  const random = createRandom(seed);
+  const field = densityField(data);
+  let xs, ys;
+
+  switch (mode) {
+    case 'importance':
+      [xs, ys] = importanceSamples(field, budget, random);
+      break;
+    case 'poisson':
+      [xs, ys] = poissonSamples(field, budget, random);
+      break;
+    case 'stipple':
+      [xs, ys] = importanceSamples(field, budget, random);
+      relaxStipples(field, xs, ys, stippleIterations);
+      break;
+    default:
+      throw new Error(`Unknown sampling mode: ${mode}`);
+  }
+
+  return cellsFromSamples(data, field, xs, ys);
+}
+
+// Cell positions in aspect-corrected space (x in 0..aspect, y in 0..1) plus luminance weights
+function densityField({ count, wCells, hCells, uvs, colors }) {
+  const aspect = wCells / hCells;
+  const xs = new Float32Array(count), ys = new Float32Array(count);
+  const weights = new Float32Array(count);
+  const cdf = new Float64Array(count);
+  const mask = new Int32Array(wCells * hCells).fill(-1);
+  let total = 0;
+
+  for (let i = 0; i < count; i++) {
+    xs[i] = uvs[i * 2] * aspect;
+    ys[i] = uvs[i * 2 + 1];
+    const c = i * 4;
+    weights[i] = (luma(colors[c], colors[c + 1], colors[c + 2]) / 255) * (colors[c + 3] / 255) + 1e-4;
+    total += weights[i];
+    cdf[i] = total;
+
+    const ix = Math.min(wCells - 1, Math.floor(uvs[i * 2] * wCells));
+    const iy = Math.min(hCells - 1, Math.floor(uvs[i * 2 + 1] * hCells));
+    mask[iy * wCells + ix] = i;
+  }
+
+  return { count, wCells, hCells, aspect, xs, ys, weights, cdf, total, mask };
+}
+
+function cellAt(field, x, y) {
+  const ix = Math.floor((x / field.aspect) * field.wCells);
+  const iy = Math.floor(y * field.hCells);
+  if (ix < 0 || iy < 0 || ix >= field.wCells || iy >= field.hCells) return -1;
+  return field.mask[iy * field.wCells + ix];
+}
+
+// Pick cells proportionally to their weight and jitter inside the cell
+function importanceSamples(field, budget, random) {
+  const xs = new Float32Array(budget), ys = new Float32Array(budget);
+  const cellW = field.aspect / field.wCells, cellH = 1 / field.hCells;
+  for (let n = 0; n < budget; n++) {
+    const target = random() * field.total;
+    let lo = 0, hi = field.count - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (field.cdf[mid] < target) lo = mid + 1; else hi = mid;
+    }
+    xs[n] = field.xs[lo] + (random() - 0.5) * cellW;
+    ys[n] = field.ys[lo] + (random() - 0.5) * cellH;
+  }
+  return [xs, ys];
+}
+
+// Bridson dart throwing restricted to kept cells. The radius is estimated from the covered
+// area, then shrunk until we have at least `budget` points; the surplus is dropped at random.
+function poissonSamples(field, budget, random) {
+  const area = field.count * (field.aspect / field.wCells) * (1 / field.hCells);
+  // Maximal Poisson-disk sets cover roughly 0.7 of the hexagonal packing density
+  let radius = Math.sqrt((2 * area) / (Math.sqrt(3) * budget)) * 0.85;
+
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const [xs, ys] = bridson(field, radius, random);
+    if (xs.length >= budget || attempt === 7) {
+      // Partial Fisher-Yates: keep a random `budget` subset
+      const n = xs.length;
+      for (let i = 0; i < Math.min(budget, n); i++) {
+        const j = i + Math.floor(random() * (n - i));
+        [xs[i], xs[j]] = [xs[j], xs[i]];
+        [ys[i], ys[j]] = [ys[j], ys[i]];
+      }
+      // Too few points even at the smallest radius: top up with importance samples
+      if (n < budget) {
+        const [ix, iy] = importanceSamples(field, budget - n, random);
+        return [Float32Array.from([...xs, ...ix]), Float32Array.from([...ys, ...iy])];
+      }
+      return [Float32Array.from(xs.slice(0, budget)), Float32Array.from(ys.slice(0, budget))];
+    }
+    radius *= Math.sqrt(xs.length / budget) * 0.95;
+  }
+}
+
+function bridson(field, radius, random, tries = 30) {
+  const cell = radius / Math.SQRT2;
+  const cols = Math.ceil(field.aspect / cell), rows = Math.ceil(1 / cell);
+  const grid = new Int32Array(cols * rows).fill(-1);
+  const xs = [], ys = [], active = [];
+  const r2 = radius * radius;
+
+  const fits = (x, y) => {
+    if (cellAt(field, x, y) === -1) return false;
+    const gx = Math.floor(x / cell), gy = Math.floor(y / cell);
+    for (let yy = Math.max(0, gy - 2); yy <= Math.min(rows - 1, gy + 2); yy++) {
+      for (let xx = Math.max(0, gx - 2); xx <= Math.min(cols - 1, gx + 2); xx++) {
+        const p = grid[yy * cols + xx];
+        if (p !== -1) {
+          const dx = xs[p] - x, dy = ys[p] - y;
+          if (dx * dx + dy * dy < r2) return false;
+        }
+      }
+    }
+    return true;
+  };
+  const add = (x, y) => {
+    grid[Math.floor(y / cell) * cols + Math.floor(x / cell)] = xs.length;
+    active.push(xs.length);
+    xs.push(x);
+    ys.push(y);
+  };
+
+  // Seed every disconnected island: walk the kept cells in random order
+  const order = Array.from({ length: field.count }, (_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  for (const seedCell of order) {
+    if (!fits(field.xs[seedCell], field.ys[seedCell])) continue;
+    add(field.xs[seedCell], field.ys[seedCell]);
+
+    while (active.length) {
+      const k = Math.floor(random() * active.length);
+      const p = active[k];
+      let placed = false;
+      for (let t = 0; t < tries; t++) {
+        const angle = random() * Math.PI * 2;
+        const dist = radius * (1 + random());
+        const x = xs[p] + Math.cos(angle) * dist, y = ys[p] + Math.sin(angle) * dist;
+        if (x < 0 || y < 0 || x >= field.aspect || y >= 1) continue;
+        if (fits(x, y)) { add(x, y); placed = true; break; }
+      }
+      if (!placed) active.splice(k, 1);
+    }
+  }
+  return [xs, ys];
+}
+
+// Weighted Lloyd relaxation: every kept cell pulls its nearest stipple towards it with its weight
+function relaxStipples(field, xs, ys, iterations) {
+  const n = xs.length;
+  const sumX = new Float64Array(n), sumY = new Float64Array(n), sumW = new Float64Array(n);
+  for (let it = 0; it < iterations; it++) {
+    sumX.fill(0); sumY.fill(0); sumW.fill(0);
+    const grid = createPointGrid(xs, ys);
+    for (let i = 0; i < field.count; i++) {
+      const s = grid.nearest(field.xs[i], field.ys[i]);
+      const w = field.weights[i];
+      sumX[s] += field.xs[i] * w;
+      sumY[s] += field.ys[i] * w;
+      sumW[s] += w;
+    }
+    for (let s = 0; s < n; s++) {
+      if (sumW[s] > 0) {
+        xs[s] = sumX[s] / sumW[s];
+        ys[s] = sumY[s] / sumW[s];
+      }
+    }
+  }
+}
+
+// Build a cells structure from sample positions; colour and channels come from the nearest cell
+function cellsFromSamples(data, field, xs, ys) {
+  const count = xs.length;
+  const out = allocateCells(count, data.wCells, data.hCells, data.block);
+  out.version = data.version;
+  out.flags = data.flags;
+  out.sourceCount = data.count;
+  const grid = createPointGrid(field.xs, field.ys);
+
+  for (let i = 0; i < count; i++) {
+    const x = Math.min(field.aspect, Math.max(0, xs[i]));
+    const y = Math.min(1, Math.max(0, ys[i]));
+    let src = cellAt(field, x, y);
+    if (src === -1) src = grid.nearest(x, y);
+
+    out.uvs[i * 2] = x / field.aspect;
+    out.uvs[i * 2 + 1] = y;
+    for (let c = 0; c < 4; c++) out.colors[i * 4 + c] = data.colors[src * 4 + c];
+    out.depths[i] = data.depths[src];
+    out.sizes[i] = data.sizes[src];
+    out.groups[i] = data.groups[src];
+    for (let c = 0; c < 3; c++) out.normals[i * 3 + c] = data.normals[src * 3 + c];
+  }
+  return out;
+}
@@ -0,0 +1,398 @@
+// fill-patterns.js — Registry of fill patterns that decide the order particles appear/move in
+//
+// A pattern maps every particle to an order value; particles are ranked by it and the rank
+// (0..1) becomes aParticleOrderVisibility / aParticleOrderMovement. Patterns register with a
+// param schema so the pages can build their GUI controls and save the values in config:
+//
+//   registerFillPattern('name', {
+//     params: { key: { value, min, max, step, name } | { value, options, name } },
+//     create: (data, options) => (u, v, i) => orderValue,
+//     gui: (folder, values, onChange, context) => [controllers]   // optional extra controls
+//   });
+//
+// Visibility and movement are ranked independently ("channels"): each has its own
+// <channel>Pattern / Scale / Seed / Direction / Params settings on the page's params.
+//
+// `options` holds the schema values plus `scale`, `seed`, `direction` and (through
+// computeChannelOrder) `channel`; `data` is the cell data ({ count, uvs, colors, wCells,
+// hCells }). `context` is whatever the page passes to addFillPatternControls ({ element,
+// imgAspect } for pointer picking).
+
+const registry = new Map();
+
+export const FILL_CHANNELS = ['visibility', 'movement'];
+export const FILL_DIRECTIONS = ['forward', 'reverse'];
+
+const seedRandom = (seed) => {
+  let x = Math.sin(seed) * 10000;
+  return x - Math.floor(x);
+};
+
+// Value noise in 0..1 on the integer lattice, smoothly interpolated
+function smoothNoise(px, py, seed) {
+  const ix = Math.floor(px);
+  const iy = Math.floor(py);
+  const fx = px - ix;
+  const fy = py - iy;
+
+  // Smooth interpolation curves
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+
+  const n00 = seedRandom(ix * 12.9898 + iy * 78.233 + seed);
+  const n10 = seedRandom((ix + 1) * 12.9898 + iy * 78.233 + seed);
+  const n01 = seedRandom(ix * 12.9898 + (iy + 1) * 78.233 + seed);
+  const n11 = seedRandom((ix + 1) * 12.9898 + (iy + 1) * 78.233 + seed);
+
+  const nx0 = n00 * (1 - sx) + n10 * sx;
+  const nx1 = n01 * (1 - sx) + n11 * sx;
+
+  return nx0 * (1 - sy) + nx1 * sy;
+}
+
+export function registerFillPattern(name, pattern) {
+  registry.set(name, { params: {}, ...pattern });
+}
+
+export function getFillPattern(name) {
+  return registry.get(name) || registry.get('random');
+}
+
+export const fillPatternNames = () => [...registry.keys()];
+
+// Schema defaults merged with stored values
+export function fillPatternOptions(name, values = {}) {
+  const options = {};
+  for (const [key, spec] of Object.entries(getFillPattern(name).params)) options[key] = spec.value;
+  return { ...options, ...values };
+}
+
+// Rank of every particle under the pattern, normalised to 0..1 (lowest value first, or
+// highest first when direction is 'reverse')
+export function computeFillOrder(data, name, options = {}) {
+  const { count, uvs } = data;
+  const resolved = { scale: 1, seed: 0, direction: 'forward', ...fillPatternOptions(name, options) };
+  const orderAt = getFillPattern(name).create(data, resolved);
+  const sign = resolved.direction === 'reverse' ? -1 : 1;
+
+  const values = new Float64Array(count);
+  for (let i = 0; i < count; i++) values[i] = sign * orderAt(uvs[i * 2], uvs[i * 2 + 1], i);
+
+  const indices = Int32Array.from({ length: count }, (_, i) => i).sort((a, b) => values[a] - values[b]);
+  const order = new Float32Array(count);
+  for (let k = 0; k < count; k++) order[indices[k]] = k / count;
+  return order;
+}
+
+// Order for one channel from the <channel>* settings
+export function computeChannelOrder(data, settings, channel) {
+  return computeFillOrder(data, settings[`${channel}Pattern`], {
+    ...settings[`${channel}Params`],
+    scale: settings[`${channel}Scale`],
+    seed: settings[`${channel}Seed`],
+    direction: settings[`${channel}Direction`],
+    channel
+  });
+}
+
+// Configs from before per-channel ordering had one orderingMode/orderingScale for both;
+// rewrites them in place (keys already in the new form win). Seed 0 reproduces the old orders:
+// 'random' still differs per channel and every other pattern gives both channels one order.
+export function migrateFillSettings(config) {
+  if (!config || !('orderingMode' in config || 'orderingScale' in config || 'orderingParams' in config)) return config;
+  for (const channel of FILL_CHANNELS) {
+    if (!(`${channel}Seed` in config)) config[`${channel}Seed`] = 0;
+    if ('orderingMode' in config && !(`${channel}Pattern` in config)) config[`${channel}Pattern`] = config.orderingMode;
+    if ('orderingScale' in config && !(`${channel}Scale` in config)) config[`${channel}Scale`] = config.orderingScale;
+    if ('orderingParams' in config && !(`${channel}Params` in config)) config[`${channel}Params`] = { ...config.orderingParams };
+  }
+  delete config.orderingMode;
+  delete config.orderingScale;
+  delete config.orderingParams;
+  return config;
+}
+
+// lil-gui controls for a pattern's schema (plus its own extras); returns them for later destroy()
+export function addFillPatternControls(folder, name, values, onChange, context = {}) {
+  const pattern = getFillPattern(name);
+  Object.assign(values, fillPatternOptions(name, values));
+
+  const controllers = [];
+  for (const [key, spec] of Object.entries(pattern.params)) {
+    const controller = spec.options
+      ? folder.add(values, key, spec.options)
+      : typeof spec.value === 'number'
+        ? folder.add(values, key, spec.min, spec.max, spec.step)
+        : folder.add(values, key);
+    controllers.push(controller.name(spec.name || key).onChange(onChange));
+  }
+  if (pattern.gui) controllers.push(...pattern.gui(folder, values, onChange, context));
+  return controllers;
+}
+
+// Canvas/pointer position → cell uv, for a plane that fills `element` like uPlane does
+export function pointerToUV(event, element, imgAspect) {
+  const rect = element.getBoundingClientRect();
+  let x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  let y = 1 - ((event.clientY - rect.top) / rect.height) * 2;
+  const planeAspect = rect.width / rect.height;
+  if (planeAspect > imgAspect) x /= imgAspect / planeAspect;
+  else y /= planeAspect / imgAspect;
+  return { u: (x + 1) / 2, v: (y + 1) / 2 };
+}
+
+// Greyscale mask for 'image-mask' (kept in memory only; configs can't hold images)
+let fillMask = null;
+
+export async function loadFillMask(source) {
+  const blob = typeof source === 'string' ? await (await fetch(source)).blob() : source;
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const luma = new Float32Array(canvas.width * canvas.height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) / 255 * (data[i * 4 + 3] / 255);
+  }
+  fillMask = { width: canvas.width, height: canvas.height, luma };
+  return fillMask;
+}
+
+export const clearFillMask = () => { fillMask = null; };
+
+// Per-particle luma 0..1 from the baked colours (alpha-weighted)
+function particleLuma(data, i) {
+  const colors = data.sourceColors || data.colors;
+  if (!colors) return 0;
+  return (0.299 * colors[i * 4] + 0.587 * colors[i * 4 + 1] + 0.114 * colors[i * 4 + 2]) / 255 * (colors[i * 4 + 3] / 255);
+}
+
+// Built-ins
+
+// Each channel keeps the hash of the original visibility / movement order (at seed 0)
+const RANDOM_HASHES = { visibility: [12.9898, 78.233, 1000], movement: [45.678, 123.456, 2000] };
+
+registerFillPattern('random', {
+  create: (data, { seed, channel }) => {
+    const [ku, kv, offset] = RANDOM_HASHES[channel] || RANDOM_HASHES.visibility;
+    return (u, v) => seedRandom(u * ku + v * kv + offset + seed);
+  }
+});
+
+registerFillPattern('islands', {
+  // Voronoi-based organic blob zones with very heavy distortion
+  create: (data, { scale, seed }) => {
+    const numCells = Math.floor(4 + 4 * scale); // 4-8 cells
+    const cells = [];
+
+    // Generate Voronoi cell centers
+    for (let i = 0; i < numCells; i++) {
+      cells.push({
+        x: (seedRandom(i * 23.45 + seed) - 0.5) * 2,
+        y: (seedRandom(i * 34.56 + 100 + seed) - 0.5) * 2,
+        // Random fill priority - NOT based on position
+        priority: seedRandom(i * 789.01 + seed)
+      });
+    }
+
+    // Sort cells by priority so they fill in random order
+    cells.sort((a, b) => a.priority - b.priority);
+
+    const distortionAmount = 0.8; // Much stronger distortion
+
+    return (u, v) => {
+      const x = (u - 0.5) * 2.0;
+      const y = (v - 0.5) * 2.0;
+
+      // Multiple octaves of smooth noise at different scales
+      const noise1 = smoothNoise(u * 5, v * 5, 123.45) - 0.5;
+      const noise2 = smoothNoise(u * 10, v * 10, 234.56) - 0.5;
+      const noise3 = smoothNoise(u * 20, v * 20, 345.67) - 0.5;
+      const noise4 = smoothNoise(u * 40, v * 40, 456.78) - 0.5;
+
+      // Combine noise octaves with decreasing amplitude
+      const noiseX = noise1 * 0.5 + noise2 * 0.25 + noise3 * 0.125 + noise4 * 0.0625;
+      const noiseY = smoothNoise(u * 5, v * 5, 567.89) * 0.5 - 0.25 +
+                     smoothNoise(u * 10, v * 10, 678.90) * 0.25 - 0.125 +
+                     smoothNoise(u * 20, v * 20, 789.01) * 0.125 - 0.0625;
+
+      // Apply heavy distortion to break up angular edges
+      const distortedX = x + noiseX * distortionAmount;
+      const distortedY = y + noiseY * distortionAmount;
+
+      // Find closest cell using heavily distorted position
+      let closestCell = 0;
+      let minDist = 999;
+      for (let i = 0; i < numCells; i++) {
+        const dx = distortedX - cells[i].x;
+        const dy = distortedY - cells[i].y;
+
+        // Add additional radial noise distortion per cell
+        const angle = Math.atan2(dy, dx);
+        const radialNoise = smoothNoise(angle * 2, i * 10, i * 123.45) * 0.4;
+
+        const dist = Math.sqrt(dx * dx + dy * dy) * (1.0 + radialNoise);
+        if (dist < minDist) {
+          minDist = dist;
+          closestCell = i;
+        }
+      }
+
+      // Cell index determines fill order, with smooth organic variation inside each cell
+      return closestCell / numCells + smoothNoise(u * 30, v * 30, closestCell * 100) * 0.08;
+    };
+  }
+});
+
+registerFillPattern('radial', {
+  // Distance from center, creating concentric circles
+  create: (data, { scale }) => (u, v) => Math.hypot((u - 0.5) * 2.0, (v - 0.5) * 2.0) * scale
+});
+
+registerFillPattern('spiral', {
+  create: (data, { scale }) => (u, v) => {
+    const x = (u - 0.5) * 2.0, y = (v - 0.5) * 2.0;
+    return (Math.hypot(x, y) * scale + (Math.atan2(y, x) + Math.PI) / (2 * Math.PI)) % 1;
+  }
+});
+
+registerFillPattern('grid', {
+  // Grid-based zones with a small random offset per cell for variety
+  create: (data, { scale, seed }) => {
+    const gridSize = Math.max(1, Math.floor(5 * scale));
+    return (u, v) => {
+      const gx = Math.floor(u * gridSize);
+      const gy = Math.floor(v * gridSize);
+      return (gy * gridSize + gx + seedRandom(gx * 17.23 + gy * 31.17 + seed) * 0.1) / (gridSize * gridSize);
+    };
+  }
+});
+
+registerFillPattern('horizontal', {
+  // Left to right waves
+  create: (data, { scale }) => (u, v) => u + Math.sin(v * Math.PI * 2 * scale) * 0.1
+});
+
+registerFillPattern('vertical', {
+  // Top to bottom waves
+  create: (data, { scale }) => (u, v) => v + Math.sin(u * Math.PI * 2 * scale) * 0.1
+});
+
+registerFillPattern('noise-flow', {
+  // A sweep along `angle` whose front is bent by fractal noise
+  params: {
+    angle: { value: 0, min: 0, max: 360, step: 1, name: 'Flow Angle' },
+    turbulence: { value: 0.5, min: 0, max: 2, step: 0.01, name: 'Flow Turbulence' },
+    octaves: { value: 3, min: 1, max: 5, step: 1, name: 'Flow Octaves' }
+  },
+  create: (data, { scale, seed, angle, turbulence, octaves }) => {
+    const aspect = data.wCells && data.hCells ? data.wCells / data.hCells : 1;
+    const dx = Math.cos((angle * Math.PI) / 180), dy = Math.sin((angle * Math.PI) / 180);
+    return (u, v) => {
+      let noise = 0, amp = 0.5, freq = 3 * scale;
+      for (let o = 0; o < octaves; o++) {
+        noise += (smoothNoise(u * aspect * freq, v * freq, seed + 311.7 + o * 57.3) - 0.5) * amp;
+        amp *= 0.5;
+        freq *= 2;
+      }
+      return (u - 0.5) * dx + (v - 0.5) * dy + noise * turbulence;
+    };
+  }
+});
+
+registerFillPattern('pointer-distance', {
+  // Distance from a picked point (aspect-correct); pages update originX/Y from the pointer
+  params: {
+    originX: { value: 0.5, min: 0, max: 1, step: 0.001, name: 'Origin X' },
+    originY: { value: 0.5, min: 0, max: 1, step: 0.001, name: 'Origin Y' },
+    outsideIn: { value: false, name: 'Outside In' }
+  },
+  create: (data, { scale, seed, originX, originY, outsideIn }) => {
+    const aspect = data.wCells && data.hCells ? data.wCells / data.hCells : 1;
+    return (u, v, i) => {
+      const d = Math.hypot((u - originX) * aspect, v - originY) * scale + seedRandom(i * 3.17 + seed) * 0.01;
+      return outsideIn ? -d : d;
+    };
+  },
+  gui: (folder, values, onChange, { element, imgAspect }) => {
+    if (!element) return [];
+    const actions = {
+      pickOrigin: () => {
+        element.addEventListener('pointerdown', (e) => {
+          const { u, v } = pointerToUV(e, element, imgAspect());
+          values.originX = Math.min(1, Math.max(0, u));
+          values.originY = Math.min(1, Math.max(0, v));
+          folder.controllersRecursive().forEach(c => c.updateDisplay());
+          onChange();
+        }, { once: true });
+      }
+    };
+    return [folder.add(actions, 'pickOrigin').name('Pick Origin (click canvas)')];
+  }
+});
+
+registerFillPattern('luminance', {
+  // Brightest cells first (or darkest), ties broken by position noise
+  params: {
+    darkFirst: { value: false, name: 'Dark First' },
+    jitter: { value: 0.05, min: 0, max: 0.5, step: 0.01, name: 'Luma Jitter' }
+  },
+  create: (data, { seed, darkFirst, jitter }) => (u, v, i) => {
+    const luma = particleLuma(data, i);
+    return (darkFirst ? luma : 1 - luma) + seedRandom(u * 12.9898 + v * 78.233 + seed) * jitter;
+  }
+});
+
+registerFillPattern('image-mask', {
+  // Order from a loaded greyscale mask (white first); falls back to the particles' own luma
+  params: {
+    invert: { value: false, name: 'Invert Mask' },
+    jitter: { value: 0.02, min: 0, max: 0.5, step: 0.01, name: 'Mask Jitter' }
+  },
+  create: (data, { seed, invert, jitter }) => (u, v, i) => {
+    let value;
+    if (fillMask) {
+      const x = Math.min(fillMask.width - 1, Math.max(0, Math.floor(u * fillMask.width)));
+      const y = Math.min(fillMask.height - 1, Math.max(0, Math.floor((1 - v) * fillMask.height)));
+      value = fillMask.luma[y * fillMask.width + x];
+    } else {
+      value = particleLuma(data, i);
+    }
+    return (invert ? value : 1 - value) + seedRandom(u * 12.9898 + v * 78.233 + seed) * jitter;
+  },
+  gui: (folder, values, onChange) => {
+    const actions = {
+      loadMask: () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/*';
+        input.onchange = async (e) => {
+          const file = e.target.files[0];
+          if (!file) return;
+          try {
+            await loadFillMask(file);
+          } catch (err) {
+            // Unreadable image: keep the previous mask (or none) and the current order
+            console.error('Failed to load fill mask:', err);
+            return;
+          }
+          onChange();
+        };
+        input.click();
+      },
+      clearMask: () => {
+        clearFillMask();
+        onChange();
+      }
+    };
+    return [
+      folder.add(actions, 'loadMask').name('Load Mask Image'),
+      folder.add(actions, 'clearMask').name('Clear Mask')
+    ];
+  }
+});
@@ -0,0 +1,157 @@
+// frame-archive.js — Single-file ZIP / TAR bundles for exported animation frames
+//
+// Frames arrive one at a time as Blobs and are kept as Blob parts (the browser may page them
+// to disk), so a long export never holds every frame in a JS array buffer at once. ZIP entries
+// are stored uncompressed — JPEG and PNG are compressed already — and TAR is plain ustar.
+
+export const ARCHIVE_FORMATS = ['zip', 'tar'];
+
+const ZIP_LIMIT = 0xffffffff; // No ZIP64: entries and offsets must fit in 32 bits
+export const ZIP_MAX_ENTRIES = 0xffff; // ...and the entry count in 16
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// FNV-1a (32-bit) of a string, as 8 hex digits; identifies the animation in the manifest
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+const encoder = new TextEncoder();
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+function createZipWriter() {
+  const parts = [];
+  const entries = [];
+  let offset = 0;
+  const { time, day } = dosDateTime(new Date());
+
+  async function add(name, blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const nameBytes = encoder.encode(name);
+    if (entries.length >= ZIP_MAX_ENTRIES) throw new Error('ZIP archive has too many entries; use TAR');
+    if (offset + 30 + nameBytes.length + bytes.length > ZIP_LIMIT) throw new Error('ZIP archive exceeds 4 GB; use TAR');
+
+    const header = new DataView(new ArrayBuffer(30));
+    const crc = crc32(bytes);
+    header.setUint32(0, 0x04034b50, true); // Local file header
+    header.setUint16(4, 20, true); // Version needed
+    header.setUint16(6, 0, true); // Flags
+    header.setUint16(8, 0, true); // Stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, day, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, bytes.length, true);
+    header.setUint32(22, bytes.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true); // Extra length
+
+    parts.push(header.buffer, nameBytes, blob);
+    entries.push({ nameBytes, crc, size: bytes.length, offset });
+    offset += 30 + nameBytes.length + bytes.length;
+  }
+
+  function finish() {
+    const start = offset;
+    for (const entry of entries) {
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true); // Central directory header
+      header.setUint16(4, 20, true); // Version made by
+      header.setUint16(6, 20, true); // Version needed
+      header.setUint16(8, 0, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, time, true);
+      header.setUint16(14, day, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, entry.size, true);
+      header.setUint32(24, entry.size, true);
+      header.setUint16(28, entry.nameBytes.length, true);
+      header.setUint16(30, 0, true); // Extra length
+      header.setUint16(32, 0, true); // Comment length
+      header.setUint16(34, 0, true); // Disk
+      header.setUint16(36, 0, true); // Internal attributes
+      header.setUint32(38, 0, true); // External attributes
+      header.setUint32(42, entry.offset, true);
+      parts.push(header.buffer, entry.nameBytes);
+      offset += 46 + entry.nameBytes.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, offset - start, true);
+    end.setUint32(16, start, true);
+    parts.push(end.buffer);
+    return new Blob(parts, { type: 'application/zip' });
+  }
+
+  return { add, finish };
+}
+
+function createTarWriter() {
+  const parts = [];
+  const mtime = Math.floor(Date.now() / 1000);
+
+  // Octal number, zero-padded to width - 1 digits plus a NUL
+  const octal = (value, width) => value.toString(8).padStart(width - 1, '0') + '\0';
+
+  async function add(name, blob) {
+    const nameBytes = encoder.encode(name);
+    if (nameBytes.length > 100) throw new Error(`TAR entry name too long: ${name}`);
+
+    const header = new Uint8Array(512);
+    const write = (text, at) => header.set(encoder.encode(text), at);
+    header.set(nameBytes, 0);
+    write(octal(0o644, 8), 100); // Mode
+    write(octal(0, 8), 108); // uid
+    write(octal(0, 8), 116); // gid
+    write(octal(blob.size, 12), 124);
+    write(octal(mtime, 12), 136);
+    write('        ', 148); // Checksum counts as spaces while summing
+    write('0', 156); // Regular file
+    write('ustar\0' + '00', 257);
+    let sum = 0;
+    for (let i = 0; i < 512; i++) sum += header[i];
+    write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+
+    parts.push(header, blob);
+    const padding = (512 - (blob.size % 512)) % 512;
+    if (padding) parts.push(new Uint8Array(padding));
+  }
+
+  function finish() {
+    parts.push(new Uint8Array(1024)); // Two empty records end the archive
+    return new Blob(parts, { type: 'application/x-tar' });
+  }
+
+  return { add, finish };
+}
+
+// { add(name, blob) → Promise, finish() → Blob }
+export function createFrameArchive(format = 'zip') {
+  return format === 'tar' ? createTarWriter() : createZipWriter();
+}
@@ -0,0 +1,134 @@
+// inflate.js — Minimal synchronous zlib/deflate decoder (RFC 1950/1951)
+// Only used by cells-bin.js when the browser has no DecompressionStream.
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Canonical Huffman table: counts per bit length + symbols sorted by code
+function buildTable(lengths) {
+  const counts = new Uint16Array(16);
+  for (const l of lengths) counts[l]++;
+  counts[0] = 0;
+  const offsets = new Uint16Array(16);
+  for (let i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + counts[i - 1];
+  const symbols = new Uint16Array(lengths.length);
+  for (let s = 0; s < lengths.length; s++) {
+    if (lengths[s]) symbols[offsets[lengths[s]]++] = s;
+  }
+  return { counts, symbols };
+}
+
+let fixedLit = null, fixedDist = null;
+function fixedTables() {
+  if (!fixedLit) {
+    const lit = new Uint8Array(288);
+    lit.fill(8, 0, 144); lit.fill(9, 144, 256); lit.fill(7, 256, 280); lit.fill(8, 280, 288);
+    fixedLit = buildTable(lit);
+    fixedDist = buildTable(new Uint8Array(30).fill(5));
+  }
+  return [fixedLit, fixedDist];
+}
+
+export function inflateSync(input, zlib = true) {
+  let pos = zlib ? 2 : 0; // skip CMF/FLG
+  let bitBuf = 0, bitCount = 0;
+  let out = new Uint8Array(Math.max(1024, input.length * 4));
+  let outLen = 0;
+
+  const bits = (n) => {
+    while (bitCount < n) {
+      if (pos >= input.length) throw new Error('inflate: unexpected end of data');
+      bitBuf |= input[pos++] << bitCount;
+      bitCount += 8;
+    }
+    const v = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCount -= n;
+    return v;
+  };
+
+  const decode = ({ counts, symbols }) => {
+    let code = 0, first = 0, index = 0;
+    for (let len = 1; len < 16; len++) {
+      code |= bits(1);
+      const count = counts[len];
+      if (code - first < count) return symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('inflate: bad Huffman code');
+  };
+
+  const ensure = (n) => {
+    if (outLen + n <= out.length) return;
+    const grown = new Uint8Array(Math.max(out.length * 2, outLen + n));
+    grown.set(out.subarray(0, outLen));
+    out = grown;
+  };
+
+  let final = 0;
+  while (!final) {
+    final = bits(1);
+    const type = bits(2);
+
+    if (type === 0) {
+      // Stored block: realign to the byte boundary
+      bitBuf = 0; bitCount = 0;
+      const len = input[pos] | (input[pos + 1] << 8);
+      pos += 4;
+      ensure(len);
+      out.set(input.subarray(pos, pos + len), outLen);
+      outLen += len;
+      pos += len;
+      continue;
+    }
+
+    let lit, dist;
+    if (type === 1) {
+      [lit, dist] = fixedTables();
+    } else if (type === 2) {
+      const hlit = bits(5) + 257, hdist = bits(5) + 1, hclen = bits(4) + 4;
+      const clLengths = new Uint8Array(19);
+      for (let i = 0; i < hclen; i++) clLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+      const clTable = buildTable(clLengths);
+      const lengths = new Uint8Array(hlit + hdist);
+      for (let i = 0; i < hlit + hdist;) {
+        const sym = decode(clTable);
+        if (sym < 16) { lengths[i++] = sym; continue; }
+        let repeat, value = 0;
+        if (sym === 16) { value = lengths[i - 1]; repeat = 3 + bits(2); }
+        else if (sym === 17) repeat = 3 + bits(3);
+        else repeat = 11 + bits(7);
+        lengths.fill(value, i, i + repeat);
+        i += repeat;
+      }
+      lit = buildTable(lengths.subarray(0, hlit));
+      dist = buildTable(lengths.subarray(hlit));
+    } else {
+      throw new Error('inflate: invalid block type');
+    }
+
+    for (;;) {
+      const sym = decode(lit);
+      if (sym < 256) {
+        ensure(1);
+        out[outLen++] = sym;
+      } else if (sym === 256) {
+        break;
+      } else {
+        const li = sym - 257;
+        const length = LENGTH_BASE[li] + bits(LENGTH_EXTRA[li]);
+        const di = decode(dist);
+        const distance = DIST_BASE[di] + bits(DIST_EXTRA[di]);
+        ensure(length);
+        for (let k = 0; k < length; k++, outLen++) out[outLen] = out[outLen - distance];
+      }
+    }
+  }
+
+  return out.slice(0, outLen);
+}
@@ -0,0 +1,220 @@
+// keyframe-timeline.js — Keyframe list behind the neue-gui animation system
+//
+// A timeline is an array of keyframes { name, params, duration, easing }. Keyframe 0 is the
+// start pose (its duration and easing are ignored); every later keyframe's duration and easing
+// describe the segment that leads into it from the one before. Optional per-parameter tracks
+// ({ [param]: { start, end, easing } }) play a parameter over only part of that segment, with
+// its own easing ('inherit' keeps the keyframe's). Values that cannot be interpolated switch
+// from the old to the new value at the keyframe's `switchAt` (0..1 of the segment).
+// anim.json stores the array under `states`:
+//   version 1 — exactly five unnamed states, smoothstep everywhere (still loads)
+//   version 2 — any number of keyframes, optionally named, with easing/bezier/tracks/switchAt
+// plus an optional `playback` block ({ mode, speed, rangeStart, rangeEnd, fromCurrent }).
+
+import { EASING_NAMES, ease, cubicBezier } from './timing.js';
+
+export const ANIM_VERSION = 2;
+export const DEFAULT_KEYFRAME_DURATION = 2.0;
+export const MIN_KEYFRAMES = 2;
+export const MIN_KEYFRAME_DURATION = 0.05; // Shortest segment dragging/nudging can produce
+
+// 'bezier' uses the keyframe's (or track's) `bezier: [x1, y1, x2, y2]`
+export const KEYFRAME_EASINGS = [...EASING_NAMES, 'bezier'];
+export const DEFAULT_KEYFRAME_EASING = 'smoothstep';
+export const DEFAULT_BEZIER = [0.42, 0, 0.58, 1];
+export const DEFAULT_SWITCH_POINT = 0.5;
+
+export function createKeyframe(params = {}, duration = DEFAULT_KEYFRAME_DURATION, name = '') {
+  return { name, params, duration, easing: DEFAULT_KEYFRAME_EASING, switchAt: DEFAULT_SWITCH_POINT };
+}
+
+// 'loop-range' loops between keyframes rangeStart and rangeEnd (-1 = last keyframe)
+export const PLAYBACK_MODES = ['once', 'loop', 'ping-pong', 'loop-range'];
+
+export function createPlayback() {
+  return { mode: 'once', speed: 1, rangeStart: 0, rangeEnd: -1, fromCurrent: false };
+}
+
+export function createTrack() {
+  return { start: 0, end: 1, easing: 'inherit' };
+}
+
+// Keyframes from a parsed anim.json (any version)
+export function parseAnimation(animData) {
+  if (!animData || !Array.isArray(animData.states)) throw new Error('Invalid animation file format');
+  const keyframes = animData.states.map(state => {
+    const keyframe = createKeyframe(state.params || {}, state.duration, state.name || '');
+    if (KEYFRAME_EASINGS.includes(state.easing)) keyframe.easing = state.easing;
+    if (Array.isArray(state.bezier) && state.bezier.length === 4) keyframe.bezier = state.bezier;
+    if (state.tracks && typeof state.tracks === 'object') keyframe.tracks = state.tracks;
+    if (typeof state.switchAt === 'number') keyframe.switchAt = Math.max(0, Math.min(1, state.switchAt));
+    return keyframe;
+  });
+  while (keyframes.length < MIN_KEYFRAMES) keyframes.push(createKeyframe());
+  return normalizeKeyframes(keyframes);
+}
+
+// Playback settings of a parsed anim.json; files without them play once at normal speed
+export function parsePlayback(animData) {
+  const playback = createPlayback();
+  const stored = animData && animData.playback;
+  if (!stored || typeof stored !== 'object') return playback;
+  if (PLAYBACK_MODES.includes(stored.mode)) playback.mode = stored.mode;
+  if (stored.speed > 0) playback.speed = stored.speed;
+  if (Number.isInteger(stored.rangeStart)) playback.rangeStart = stored.rangeStart;
+  if (Number.isInteger(stored.rangeEnd)) playback.rangeEnd = stored.rangeEnd;
+  playback.fromCurrent = !!stored.fromCurrent;
+  return playback;
+}
+
+export function serializeAnimation(keyframes, playback) {
+  return playback ? { states: keyframes, playback, version: ANIM_VERSION } : { states: keyframes, version: ANIM_VERSION };
+}
+
+// Every keyframe after the first needs a positive duration. Keyframe 0's is left as it is
+// (the timeline ignores it), so a keyframe moved to the start and back keeps its timing.
+export function normalizeKeyframes(keyframes) {
+  keyframes.forEach((keyframe, i) => {
+    if (i > 0 && !(keyframe.duration > 0)) keyframe.duration = DEFAULT_KEYFRAME_DURATION;
+  });
+  return keyframes;
+}
+
+export const keyframeLabel = (keyframes, i) => `${i}: ${keyframes[i].name || (i === 0 ? 'Start' : `Keyframe ${i}`)}`;
+
+export const hasKeyframeParams = (keyframes) =>
+  keyframes.some(keyframe => keyframe.params && Object.keys(keyframe.params).length > 0);
+
+export function timelineDuration(keyframes) {
+  let total = 0;
+  for (let i = 1; i < keyframes.length; i++) total += keyframes[i].duration;
+  return total;
+}
+
+// Segment at `time`: interpolate keyframes[from] → keyframes[to] by t (0..1)
+export function locateTime(keyframes, time) {
+  let start = 0;
+  for (let i = 1; i < keyframes.length; i++) {
+    const duration = keyframes[i].duration;
+    if (time < start + duration) return { from: i - 1, to: i, t: Math.max(0, (time - start) / duration) };
+    start += duration;
+  }
+  const last = keyframes.length - 1;
+  return { from: Math.max(0, last - 1), to: last, t: 1 };
+}
+
+function applyEasing(name, bezier, t) {
+  if (name === 'bezier') return cubicBezier(...(bezier || DEFAULT_BEZIER))(t);
+  return ease(name || DEFAULT_KEYFRAME_EASING, t);
+}
+
+// Eased 0..1 progress of `param` at segment time t (0..1) of the segment ending at `keyframe`
+export function segmentProgress(keyframe, param, t) {
+  const track = keyframe.tracks && keyframe.tracks[param];
+  if (track) {
+    t = Math.max(0, Math.min(1, (t - track.start) / Math.max(track.end - track.start, 1e-6)));
+    if (track.easing && track.easing !== 'inherit') return applyEasing(track.easing, track.bezier, t);
+  }
+  return applyEasing(keyframe.easing, keyframe.bezier, t);
+}
+
+// Whether discrete values have switched to `keyframe`'s at segment time t (0..1)
+export const segmentSwitched = (keyframe, t) =>
+  t >= (typeof keyframe.switchAt === 'number' ? keyframe.switchAt : DEFAULT_SWITCH_POINT);
+
+// Start time of keyframe i on the timeline
+export function keyframeTime(keyframes, index) {
+  let time = 0;
+  for (let i = 1; i <= index && i < keyframes.length; i++) time += keyframes[i].duration;
+  return time;
+}
+
+// Start/end time of the loop-range, with the keyframe indices clamped to the timeline
+export function playbackRange(keyframes, playback) {
+  const last = keyframes.length - 1;
+  const end = playback.rangeEnd < 0 ? last : Math.max(1, Math.min(last, playback.rangeEnd));
+  const start = Math.max(0, Math.min(end - 1, playback.rangeStart));
+  return [keyframeTime(keyframes, start), keyframeTime(keyframes, end)];
+}
+
+// Move the playhead `deltaTime` seconds on (scaled by playback.speed) according to the mode.
+// direction is 1, or -1 while ping-pong plays backwards; finished is only set by 'once'.
+export function advancePlayhead(keyframes, playback, time, direction, deltaTime) {
+  const total = timelineDuration(keyframes);
+  let next = time + deltaTime * playback.speed * direction;
+
+  if (playback.mode === 'loop' && total > 0) {
+    return { time: next % total, direction, finished: false };
+  }
+
+  if (playback.mode === 'ping-pong' && total > 0) {
+    while (next > total || next < 0) {
+      if (next > total) {
+        next = 2 * total - next;
+        direction = -1;
+      } else {
+        next = -next;
+        direction = 1;
+      }
+    }
+    return { time: next, direction, finished: false };
+  }
+
+  if (playback.mode === 'loop-range') {
+    const [start, end] = playbackRange(keyframes, playback);
+    // Anything before the range plays normally until the playhead enters it
+    if (end > start && next > end) next = start + ((next - end) % (end - start));
+    return { time: next, direction, finished: false };
+  }
+
+  if (next >= total) return { time: total, direction, finished: true };
+  return { time: next, direction, finished: false };
+}
+
+// Editing helpers; all work in place and return the index of the affected keyframe
+
+export function insertKeyframe(keyframes, index, keyframe) {
+  keyframes.splice(index, 0, keyframe);
+  normalizeKeyframes(keyframes);
+  return index;
+}
+
+export function duplicateKeyframe(keyframes, index) {
+  const copy = JSON.parse(JSON.stringify(keyframes[index]));
+  if (copy.name) copy.name += ' copy';
+  if (index === 0) copy.duration = DEFAULT_KEYFRAME_DURATION;
+  return insertKeyframe(keyframes, index + 1, copy);
+}
+
+export function removeKeyframe(keyframes, index) {
+  if (keyframes.length <= MIN_KEYFRAMES) return index;
+  const removed = keyframes.splice(index, 1)[0];
+  // The next keyframe absorbs the removed segment so later keyframes keep their timing
+  if (index > 0 && index < keyframes.length) keyframes[index].duration += removed.duration;
+  normalizeKeyframes(keyframes);
+  return Math.min(index, keyframes.length - 1);
+}
+
+// Move keyframe `index` to `time` on the timeline, keeping every other keyframe in place
+// (the segments on either side of it stretch or shrink)
+export function retimeKeyframe(keyframes, index, time) {
+  if (index <= 0 || index >= keyframes.length) return index;
+  const start = keyframeTime(keyframes, index - 1);
+  const next = keyframes[index + 1];
+  const end = next ? keyframeTime(keyframes, index + 1) : Infinity;
+  const clamped = Math.max(start + MIN_KEYFRAME_DURATION, Math.min(end - MIN_KEYFRAME_DURATION, time));
+  keyframes[index].duration = clamped - start;
+  if (next) next.duration = end - clamped;
+  return index;
+}
+
+// Move keyframe `from` to position `to`; durations stay with their keyframe, including through
+// a spell at index 0
+export function moveKeyframe(keyframes, from, to) {
+  to = Math.max(0, Math.min(keyframes.length - 1, to));
+  if (from === to) return from;
+  const [keyframe] = keyframes.splice(from, 1);
+  keyframes.splice(to, 0, keyframe);
+  normalizeKeyframes(keyframes);
+  return to;
+}
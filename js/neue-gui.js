@@ -1,6 +1,17 @@
 // neue-gui.js — With lil-gui controls and JSON config
 import * as THREE from 'three';
 import GUI from 'https://cdn.jsdelivr.net/npm/lil-gui@0.19/+esm';
+import { loadCellsBin, fallbackCells, encodeCellsBin } from './cells-bin.js';
+import { bakeCells, DEFAULT_BAKE_OPTIONS } from './cells-baker.js';
+import { SAMPLING_MODES } from './cells-sampling.js';
+import { PARTICLE_STATE_GLSL, createStateArray, createStateTrack } from './particle-state.js';
+import { EASING_NAMES, easingIndex, createFrameClock, migrateFrameParams } from './timing.js';
+import { KEYFRAME_EASINGS, DEFAULT_BEZIER, createKeyframe, createTrack, segmentProgress, segmentSwitched, PLAYBACK_MODES, createPlayback, parsePlayback, advancePlayhead, parseAnimation, serializeAnimation, normalizeKeyframes, keyframeLabel, hasKeyframeParams, timelineDuration, keyframeTime, locateTime, insertKeyframe, duplicateKeyframe, removeKeyframe, moveKeyframe } from './keyframe-timeline.js';
+import { createTimelinePanel } from './timeline-panel.js';
+import { ARCHIVE_FORMATS, ZIP_MAX_ENTRIES, createFrameArchive, hashString } from './frame-archive.js';
+import { RENDER_PRESETS, ALPHA_MODES, createRenderOutput } from './render-output.js';
+import { VIDEO_CONTAINERS, isVideoEncoderSupported, createVideoEncoder } from './video-encoder.js';
+import { FILL_CHANNELS, FILL_DIRECTIONS, fillPatternNames, computeChannelOrder, addFillPatternControls, migrateFillSettings } from './fill-patterns.js';
 
 const CELLS_URL = './public/cells.bin';
 const CONFIG_URL = './config.json'; // Default config file
@@ -10,17 +21,13 @@ const statsEl = document.getElementById('stats');
 
 // Animation system
 const animationSystem = {
-  states: [
-    { params: {}, duration: 0 },    // State 0 (no duration)
-    { params: {}, duration: 2.0 },  // State 1
-    { params: {}, duration: 2.0 },  // State 2
-    { params: {}, duration: 2.0 },  // State 3
-    { params: {}, duration: 2.0 }   // State 4
-  ],
+  // Keyframes (see keyframe-timeline.js); any number, keyframe 0 is the start pose
+  states: normalizeKeyframes(Array.from({ length: 5 }, () => createKeyframe())),
   currentState: 0,
   isPlaying: false,
-  playStartTime: 0,
-  currentPlayTime: 0
+  currentPlayTime: 0, // Seconds, advanced by the frame clock
+  playback: createPlayback(), // Mode, speed, loop range; saved with the animation
+  direction: 1 // -1 while ping-pong plays backwards
 };
 
 // Default parameters
@@ -28,9 +35,19 @@ const params = {
   particleSizeMin: 0.01, // Random size min
   particleSizeMax: 0.03, // Random size max
   particleSizeTarget: 0.015, // Fixed size at target
+  depthScale: 1.0, // Multiplier for per-cell z depth (CEL2 files)
   movePercentage: 0.0, // 0-1, percentage of particles that should move to target
-  orderingMode: 'random', // 'islands', 'random', 'radial', 'grid', 'spiral', 'horizontal', 'vertical'
-  orderingScale: 1.0, // Scale of the ordering pattern
+  // Fill order, separately for visibility and movement (patterns live in fill-patterns.js)
+  visibilityPattern: 'random',
+  visibilityScale: 1.0, // Scale of the visibility pattern
+  visibilitySeed: 0, // 0 gives the original orders; other seeds reshuffle the seeded patterns
+  visibilityDirection: 'forward', // 'forward' | 'reverse'
+  visibilityParams: {}, // Options of the visibility pattern; schema defaults fill the gaps
+  movementPattern: 'random',
+  movementScale: 1.0,
+  movementSeed: 0,
+  movementDirection: 'forward',
+  movementParams: {},
   turbulence1Amount: 1.2,
   turbulence1Speed: 0.6,
   turbulence1Scale: 0.9,
@@ -42,17 +59,52 @@ const params = {
   softness: 0.2, // 0 = very soft, 1 = hard edge
   edgeFade: 0.5, // Controls fade range
   visiblePercentage: 1.0, // 0-1, percentage of particles that should be visible
-  fadeSpeedMin: 30, // Min frames to fade (30 = 0.5 sec at 60fps)
-  fadeSpeedMax: 120, // Max frames to fade (120 = 2 sec at 60fps)
-  moveSpeedMin: 60, // Min frames to reach target position
-  moveSpeedMax: 180, // Max frames to reach target position
+  fadeTimeMin: 0.5, // Min seconds to fade
+  fadeTimeMax: 2.0, // Max seconds to fade
+  fadeEasing: 'smoothstep', // One of EASING_NAMES (timing.js)
+  moveTimeMin: 1.0, // Min seconds to reach target position
+  moveTimeMax: 3.0, // Max seconds to reach target position
+  moveEasing: 'smoothstep', // One of EASING_NAMES (timing.js)
   backgroundColor: '#111111',
   blendMode: 'premultiplied',
   depthWrite: false,
   showFrame: true
 };
 
+// How the keyframe timeline blends params between keyframes: numbers interpolate, colours
+// blend through interpolateColor, everything else switches at the keyframe's switch point
+const COLOR_PARAMS = ['backgroundColor'];
+// Fill order settings re-rank every particle, so they switch like discrete params
+const SWITCHED_PARAMS = ['visibilityScale', 'visibilitySeed', 'movementScale', 'movementSeed'];
+const ANIMATABLE_PARAMS = Object.keys(params).filter(key =>
+  COLOR_PARAMS.includes(key) || (typeof params[key] === 'number' && !SWITCHED_PARAMS.includes(key)));
+
+// Params whose change needs more than a uniform update during playback
+const SIZE_PARAMS = ['particleSizeMin', 'particleSizeMax'];
+const FADE_TIME_PARAMS = ['fadeTimeMin', 'fadeTimeMax'];
+const MOVE_TIME_PARAMS = ['moveTimeMin', 'moveTimeMax'];
+const ORDER_PARAMS = FILL_CHANNELS.flatMap(channel =>
+  ['Pattern', 'Scale', 'Seed', 'Direction', 'Params'].map(suffix => channel + suffix));
+
+// Configs and anim.json states saved before the seconds-based timing stored frames at 60fps
+const LEGACY_FRAME_PARAMS = {
+  fadeSpeedMin: 'fadeTimeMin',
+  fadeSpeedMax: 'fadeTimeMax',
+  moveSpeedMin: 'moveTimeMin',
+  moveSpeedMax: 'moveTimeMax'
+};
+
+// Image → cells baking (same meaning as make_cells_bin.py --block/--black/--alpha)
+const bakeOptions = { ...DEFAULT_BAKE_OPTIONS, block: 4 };
+
 let renderer, scene, camera, particles, uniforms, clock, gui, guiNeedsUpdate = false;
+let stateTime = 0; // Seconds on the particle state clock (uStateTime)
+let keyframeFolder = null; // GUI folder with the keyframe list controls (rebuilt on edits)
+let playbackFolder = null; // GUI folder with the playback mode controls (rebuilt on edits)
+let timelinePanel = null; // Docked timeline / curve editor under the canvas
+const trackEditor = { param: 'movePercentage' }; // Parameter shown in the track controls
+const fillPatternFolders = {}; // Per fill channel: GUI folder that also holds the pattern's options
+const fillPatternControllers = {}; // Per fill channel: the pattern option controllers
 
 init().catch(err => {
   console.error('Init error:', err);
@@ -74,11 +126,11 @@ async function init() {
     powerPreference: 'high-performance'
   });
   renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-  renderer.setSize(window.innerWidth, window.innerHeight, false);
+  renderer.setSize(canvas.clientWidth, canvas.clientHeight, false);
   renderer.setClearColor(params.backgroundColor);
 
   scene = new THREE.Scene();
-  camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.01, 100);
+  camera = new THREE.PerspectiveCamera(70, canvas.clientWidth / canvas.clientHeight, 0.01, 100);
   camera.position.set(0, 0, 6);
 
   // Expose for DevTools
@@ -89,7 +141,7 @@ async function init() {
   try {
     data = await loadCellsBin(CELLS_URL);
     console.log('cells.bin loaded:', data);
-    if (statsEl) statsEl.textContent = `cells: ${data.count} | grid: ${data.wCells}×${data.hCells}`;
+    if (statsEl) statsEl.textContent = `cells: ${data.count} | grid: ${data.wCells}×${data.hCells} | CEL${data.version}`;
   } catch (e) {
     console.warn('cells.bin failed to load; using fallback.', e);
     if (statsEl) statsEl.textContent = 'Using fallback particles';
@@ -111,6 +163,24 @@ async function init() {
   scene.add(frame);
   window.frame = frame;
 
+  // Timeline panel docked under the canvas
+  timelinePanel = createTimelinePanel(document.body, {
+    getKeyframes: () => animationSystem.states,
+    getSelected: () => animationSystem.currentState,
+    getTime: () => animationSystem.currentPlayTime,
+    onScrub: time => scrubAnimation(time),
+    onSelect: index => {
+      selectKeyframe(index);
+      animationSystem.currentPlayTime = keyframeTime(animationSystem.states, index);
+    },
+    onRetime: () => {
+      persistAnimation();
+      buildKeyframeControls();
+    },
+    curveParams: ANIMATABLE_PARAMS.filter(key => !COLOR_PARAMS.includes(key))
+  });
+  setTimelineDocked(true);
+
   // Setup GUI
   setupGUI(frame);
   
@@ -122,28 +192,39 @@ async function init() {
   window.particles = particles;
 
   // Animate
-  clock = new THREE.Clock();
-  let lastTime = 0;
+  clock = createFrameClock();
   renderer.setAnimationLoop(() => {
-    const currentTime = clock.getElapsedTime();
-    const deltaTime = currentTime - lastTime;
-    lastTime = currentTime;
+    const deltaTime = clock.tick();
+    const currentTime = clock.elapsed;
+    
+    // Offline renders own the clocks and the canvas until they finish
+    if (renderState.isRendering) return;
     
     uniforms.uTime.value = currentTime;
     uniforms.uDeltaTime.value = deltaTime;
+
+    // Particle visibility and movement are evaluated in the shader against this clock
+    stateTime += deltaTime;
+    uniforms.uStateTime.value = stateTime;
     
     // Update animation system
-    updateAnimation();
-    
-    // Update particle visibility and movement
-    updateParticleVisibility(particles.geometry, deltaTime);
-    updateParticleMovement(particles.geometry, deltaTime);
+    updateAnimation(deltaTime);
+    timelinePanel.draw();
     
     renderer.render(scene, camera);
   });
 
   // Resize
   window.addEventListener('resize', onResize);
+
+  // Drop a PNG/JPG anywhere on the page to bake it into particles
+  window.addEventListener('dragover', e => e.preventDefault());
+  window.addEventListener('drop', e => {
+    e.preventDefault();
+    const file = [...e.dataTransfer.files].find(f => f.type.startsWith('image/'));
+    if (file) bakeImageFile(file);
+  });
+
   console.log('Init complete. Particles:', data.count);
 }
 
@@ -162,29 +243,48 @@ function setupGUI(frame) {
       uniforms.uMovePercentage.value = v;
       updateMovementTargets(particles.geometry);
     });
-  animFolder.add(params, 'orderingMode', ['islands', 'random', 'radial', 'spiral', 'grid', 'horizontal', 'vertical'])
-    .name('Fill Pattern')
-    .onChange(v => {
-      updateParticleOrdering(particles.geometry, window.particleData);
-      updateMovementTargets(particles.geometry);
-      updateParticleTargets(particles.geometry);
-    });
-  animFolder.add(params, 'orderingScale', 0.1, 3, 0.01)
-    .name('Pattern Scale')
+  for (const channel of FILL_CHANNELS) {
+    const label = channel === 'visibility' ? 'Visibility' : 'Movement';
+    const orderFolder = animFolder.addFolder(`${label} Order`);
+    orderFolder.add(params, `${channel}Pattern`, fillPatternNames())
+      .name('Fill Pattern')
+      .onChange(v => {
+        buildFillPatternControls(channel);
+        reorderParticles();
+      });
+    orderFolder.add(params, `${channel}Scale`, 0.1, 3, 0.01)
+      .name('Pattern Scale')
+      .onChange(v => {
+        reorderParticles();
+      });
+    orderFolder.add(params, `${channel}Seed`, 0, 10000, 1)
+      .name('Seed')
+      .onChange(v => {
+        reorderParticles();
+      });
+    orderFolder.add(params, `${channel}Direction`, FILL_DIRECTIONS)
+      .name('Direction')
+      .onChange(v => {
+        reorderParticles();
+      });
+    fillPatternFolders[channel] = orderFolder;
+    fillPatternControllers[channel] = [];
+    buildFillPatternControls(channel);
+  }
+  animFolder.add(params, 'moveTimeMin', 0.02, 5, 0.01)
+    .name('Move Time Min (s)')
     .onChange(v => {
-      updateParticleOrdering(particles.geometry, window.particleData);
-      updateMovementTargets(particles.geometry);
-      updateParticleTargets(particles.geometry);
+      updateMoveSpeeds(particles.geometry);
     });
-  animFolder.add(params, 'moveSpeedMin', 1, 300, 1)
-    .name('Move Speed Min (frames)')
+  animFolder.add(params, 'moveTimeMax', 0.02, 5, 0.01)
+    .name('Move Time Max (s)')
     .onChange(v => {
       updateMoveSpeeds(particles.geometry);
     });
-  animFolder.add(params, 'moveSpeedMax', 1, 300, 1)
-    .name('Move Speed Max (frames)')
+  animFolder.add(params, 'moveEasing', EASING_NAMES)
+    .name('Move Easing')
     .onChange(v => {
-      updateMoveSpeeds(particles.geometry);
+      uniforms.uMoveEasing.value = easingIndex(v);
     });
   animFolder.open();
 
@@ -205,6 +305,11 @@ function setupGUI(frame) {
     .onChange(v => {
       uniforms.uParticleSizeTarget.value = v;
     });
+  particleFolder.add(params, 'depthScale', 0, 5, 0.01)
+    .name('Depth Scale')
+    .onChange(v => {
+      uniforms.uDepthScale.value = v;
+    });
   particleFolder.add(params, 'softness', 0, 1, 0.01)
     .name('Softness (0=soft, 1=hard)')
     .onChange(v => {
@@ -225,16 +330,21 @@ function setupGUI(frame) {
       uniforms.uVisiblePercentage.value = v;
       updateParticleTargets(particles.geometry);
     });
-  visibilityFolder.add(params, 'fadeSpeedMin', 1, 300, 1)
-    .name('Fade Speed Min (frames)')
+  visibilityFolder.add(params, 'fadeTimeMin', 0.02, 5, 0.01)
+    .name('Fade Time Min (s)')
     .onChange(v => {
       updateFadeSpeeds(particles.geometry);
     });
-  visibilityFolder.add(params, 'fadeSpeedMax', 1, 300, 1)
-    .name('Fade Speed Max (frames)')
+  visibilityFolder.add(params, 'fadeTimeMax', 0.02, 5, 0.01)
+    .name('Fade Time Max (s)')
     .onChange(v => {
       updateFadeSpeeds(particles.geometry);
     });
+  visibilityFolder.add(params, 'fadeEasing', EASING_NAMES)
+    .name('Fade Easing')
+    .onChange(v => {
+      uniforms.uFadeEasing.value = easingIndex(v);
+    });
   visibilityFolder.open();
 
   // Turbulence 1 folder
@@ -291,26 +401,7 @@ function setupGUI(frame) {
     renderer.setClearColor(v);
   });
   renderFolder.add(params, 'blendMode', ['premultiplied', 'additive', 'screen', 'normal']).onChange(v => {
-    switch(v) {
-      case 'additive':
-        particles.material.blending = THREE.AdditiveBlending;
-        break;
-      case 'screen':
-        particles.material.blending = THREE.CustomBlending;
-        particles.material.blendEquation = THREE.AddEquation;
-        particles.material.blendSrc = THREE.OneFactor;
-        particles.material.blendDst = THREE.OneFactor;
-        break;
-      case 'normal':
-        particles.material.blending = THREE.NormalBlending;
-        break;
-      default: // premultiplied
-        particles.material.blending = THREE.CustomBlending;
-        particles.material.blendEquation = THREE.AddEquation;
-        particles.material.blendSrc = THREE.OneFactor;
-        particles.material.blendDst = THREE.OneMinusSrcAlphaFactor;
-    }
-    particles.material.needsUpdate = true;
+    applyBlendMode(v);
   });
   renderFolder.add(params, 'showFrame').onChange(v => {
     frame.visible = v;
@@ -329,58 +420,34 @@ function setupGUI(frame) {
   configFolder.add({ 
     export: () => exportConfig() 
   }, 'export').name('Export JSON');
+
+  // Image → Cells folder (in-browser replacement for make_cells_bin.py)
+  const bakeFolder = gui.addFolder('Image → Cells');
+  bakeFolder.add(bakeOptions, 'block', 1, 16, 1).name('Block (px)');
+  bakeFolder.add(bakeOptions, 'black', 0, 255, 1).name('Black Threshold');
+  bakeFolder.add(bakeOptions, 'alpha', 0, 255, 1).name('Alpha Threshold');
+  bakeFolder.add(bakeOptions, 'sampling', SAMPLING_MODES).name('Sampling');
+  bakeFolder.add(bakeOptions, 'budget', 1000, 100000, 500).name('Particle Budget');
+  bakeFolder.add(bakeOptions, 'seed', 1, 999, 1).name('Sampling Seed');
+  bakeFolder.add({
+    load: () => loadImageDialog()
+  }, 'load').name('Load Image (or drop one)');
+  bakeFolder.add({
+    download: () => downloadCellsBin()
+  }, 'download').name('Download cells.bin');
+  bakeFolder.close();
   
   // Animation System folder
   const animSystemFolder = gui.addFolder('Animation System');
   
-  // State selector
-  animSystemFolder.add(animationSystem, 'currentState', {
-    'State 0 (Start)': 0,
-    'State 1': 1,
-    'State 2': 2,
-    'State 3': 3,
-    'State 4 (End)': 4
-  }).name('Current State').onChange(v => {
-    // Stop animation when changing states
-    if (animationSystem.isPlaying) {
-      stopAnimation();
-    }
-    
-    // Load the selected state
-    const stateIndex = parseInt(v);
-    loadAnimationState(stateIndex);
-    
-    // Update duration control for the selected state
-    if (stateIndex > 0) {
-      durationControl.enable();
-      durationObj.duration = animationSystem.states[stateIndex].duration;
-      durationControl.updateDisplay();
-    } else {
-      durationControl.disable();
-    }
-  });
-  
-  // Duration control (disabled for state 0)
-  const durationObj = { duration: animationSystem.states[animationSystem.currentState].duration };
-  const durationControl = animSystemFolder.add(
-    durationObj,
-    'duration', 0.1, 10, 0.1
-  ).name('Duration (seconds)').onChange(v => {
-    if (animationSystem.currentState > 0) {
-      animationSystem.states[animationSystem.currentState].duration = v;
-    }
-  });
-  
-  // Disable duration for state 0
-  if (animationSystem.currentState === 0) {
-    durationControl.disable();
-  }
-  
-  // Store current params to selected state
-  animSystemFolder.add({
-    store: () => storeAnimationState()
-  }, 'store').name('Store Current Params');
-  
+  // Keyframe list: selector, per-keyframe settings and editing (rebuilt when the list changes)
+  keyframeFolder = animSystemFolder.addFolder('Keyframes');
+  buildKeyframeControls();
+
+  // Playback mode, speed and loop range (keyframe options follow the keyframe list)
+  playbackFolder = animSystemFolder.addFolder('Playback');
+  buildPlaybackControls();
+
   // Play button
   animSystemFolder.add({
     play: () => startAnimation()
@@ -400,25 +467,52 @@ function setupGUI(frame) {
     load: () => loadAnimationFromFile()
   }, 'load').name('Load Animation');
   
-  // Progress display
+  // Progress display; dragging it scrubs like the timeline panel's playhead
   animSystemFolder.add({ progress: 0 }, 'progress', 0, 1)
     .name('Playback Progress')
     .listen()
-    .disable();
+    .onChange(v => scrubAnimation(v * timelineDuration(animationSystem.states)));
+  
+  animSystemFolder.add({
+    get timeline() { return timelinePanel.visible; },
+    set timeline(v) { setTimelineDocked(v); }
+  }, 'timeline').name('Timeline Panel');
   
   // Render controls
   animSystemFolder.add({
     renderMP4: () => startRendering()
-  }, 'renderMP4').name('📹 Render MP4 (30fps)');
+  }, 'renderMP4').name('📹 Render Video');
   
   animSystemFolder.add({
     renderFrames: () => startFrameExport()
-  }, 'renderFrames').name('📸 Export Frames (JPG)');
+  }, 'renderFrames').name('📸 Export Frames (Archive)');
+  
+  // Output size, fps and background for both render paths (independent of the window)
+  const renderSettingsFolder = animSystemFolder.addFolder('Render Settings');
+  renderSettingsFolder.add({ preset: '1080p (1920×1080)' }, 'preset', Object.keys(RENDER_PRESETS)).name('Preset').onChange(v => {
+    const size = RENDER_PRESETS[v];
+    renderState.width = size ? size[0] : canvas.clientWidth;
+    renderState.height = size ? size[1] : canvas.clientHeight;
+    renderState.pixelRatio = size ? 1 : Math.min(window.devicePixelRatio, 2);
+    renderSettingsFolder.controllers.forEach(c => c.updateDisplay());
+  });
+  renderSettingsFolder.add(renderState, 'width', 16, 7680, 2).name('Width');
+  renderSettingsFolder.add(renderState, 'height', 16, 7680, 2).name('Height');
+  renderSettingsFolder.add(renderState, 'pixelRatio', 0.25, 4, 0.25).name('Pixel Ratio');
+  renderSettingsFolder.add(renderState, 'frameRate', 12, 120, 1).name('FPS');
+  renderSettingsFolder.add(renderState, 'backgroundAlpha', 0, 1, 0.01).name('Background Alpha (PNG)');
+  renderSettingsFolder.add(renderState, 'alphaMode', ALPHA_MODES).name('Alpha Delivery');
+  renderSettingsFolder.add(renderState, 'separatePasses').name('Separate Layer Passes');
+  renderSettingsFolder.add(renderState, 'videoContainer', VIDEO_CONTAINERS).name('Video Container');
+  renderSettingsFolder.add(renderState, 'frameFormat', ['jpg', 'png']).name('Frame Format');
+  renderSettingsFolder.add(renderState, 'archiveFormat', ARCHIVE_FORMATS).name('Frame Archive');
+  renderSettingsFolder.close();
   
   animSystemFolder.open();
 
   // Apply initial values
   uniforms.uParticleSizeTarget.value = params.particleSizeTarget;
+  uniforms.uDepthScale.value = params.depthScale;
   uniforms.uSoftness.value = params.softness;
   uniforms.uEdgeFade.value = params.edgeFade;
   uniforms.uTurbulence1Amount.value = params.turbulence1Amount;
@@ -458,7 +552,7 @@ function setupGUI(frame) {
     }
   });
 
-  console.log('Keyboard shortcuts: SPACE = Play/Stop, H = Hide/Show GUI');
+  console.log('Keyboard shortcuts: SPACE = Play/Stop, H = Hide/Show GUI (timeline panel: ←/→ nudge keyframe, [ / ] select, Home/End)');
 }
 
 function saveConfig() {
@@ -492,7 +586,7 @@ async function loadConfig(url) {
     // First try localStorage
     const stored = localStorage.getItem('particleConfig');
     if (stored) {
-      const config = JSON.parse(stored);
+      const config = migrateConfig(JSON.parse(stored));
       Object.assign(params, config);
       console.log('Loaded config from localStorage');
       return;
@@ -501,7 +595,7 @@ async function loadConfig(url) {
     // Then try file
     const response = await fetch(url);
     if (response.ok) {
-      const config = await response.json();
+      const config = migrateConfig(await response.json());
       Object.assign(params, config);
       console.log('Loaded config from file:', url);
     }
@@ -519,7 +613,7 @@ function loadConfigDialog() {
     if (file) {
       const text = await file.text();
       try {
-        const config = JSON.parse(text);
+        const config = migrateConfig(JSON.parse(text));
         Object.assign(params, config);
         
         // Update GUI
@@ -536,8 +630,71 @@ function loadConfigDialog() {
   input.click();
 }
 
+function loadImageDialog() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'image/*';
+  input.onchange = (e) => {
+    const file = e.target.files[0];
+    if (file) bakeImageFile(file);
+  };
+  input.click();
+}
+
+async function bakeImageFile(file) {
+  try {
+    const data = await bakeCells(file, bakeOptions);
+    if (data.count === 0) {
+      alert('No cells passed the black/alpha thresholds');
+      return;
+    }
+    replaceParticles(data);
+    if (statsEl) statsEl.textContent = `cells: ${data.count} | grid: ${data.wCells}×${data.hCells} | ${file.name}`;
+    console.log(`Baked ${file.name}:`, data);
+  } catch (err) {
+    console.error('Failed to bake image:', err);
+    alert('Could not bake that image. Check console for details.');
+  }
+}
+
+function downloadCellsBin() {
+  const blob = new Blob([encodeCellsBin(window.particleData)], { type: 'application/octet-stream' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'cells.bin';
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Swap the particle system for new cell data, keeping the current params
+function replaceParticles(data) {
+  scene.remove(particles);
+  particles.geometry.dispose();
+  particles.material.dispose();
+
+  particles = makeInstancedParticles(data);
+  scene.add(particles);
+  window.particles = particles;
+  window.particleData = data;
+
+  uniforms = particles.material.uniforms;
+  uniforms.uPlane.value.copy(planeSizeAtZ0());
+
+  // Re-fit the frame helper to the new image aspect
+  if (window.frame) {
+    window.frame.geometry.dispose();
+    window.frame.geometry = makeFrameHelper(uniforms.uPlane.value, data.wCells / data.hCells).geometry;
+  }
+
+  applyAllParams();
+}
+
 function onResize() {
-  const w = window.innerWidth, h = window.innerHeight;
+  // Offline renders own the camera aspect and uPlane; endOfflineRender() resizes once they finish
+  if (renderState.isRendering) return;
+  // The canvas shrinks when the timeline panel is docked under it
+  const w = canvas.clientWidth, h = canvas.clientHeight;
   renderer.setSize(w, h, false);
   camera.aspect = w / h;
   camera.updateProjectionMatrix();
@@ -551,51 +708,7 @@ function planeSizeAtZ0() {
   return new THREE.Vector2(width, height);
 }
 
-async function loadCellsBin(url) {
-  const res = await fetch(url, { cache: 'no-cache' });
-  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-  const buf = await res.arrayBuffer();
-  const dv = new DataView(buf);
-  let o = 0;
-
-  const MAGIC = dv.getUint32(o, true); o += 4;
-  if (MAGIC !== 0x43454C31) throw new Error('Bad magic in cells.bin');
-  const count = dv.getUint32(o, true); o += 4;
-  const wCells = dv.getUint16(o, true); o += 2;
-  const hCells = dv.getUint16(o, true); o += 2;
-  const block = dv.getUint16(o, true); o += 2;
-  o += 2; // flags
-
-  const uvs = new Float32Array(count * 2);
-  const colors = new Uint8Array(count * 4);
-
-  for (let i = 0; i < count; i++) {
-    uvs[i * 2 + 0] = dv.getFloat32(o, true); o += 4;
-    uvs[i * 2 + 1] = 1.0 - dv.getFloat32(o, true); o += 4; // FLIP Y HERE
-    colors[i * 4 + 0] = dv.getUint8(o++); // R
-    colors[i * 4 + 1] = dv.getUint8(o++); // G
-    colors[i * 4 + 2] = dv.getUint8(o++); // B
-    colors[i * 4 + 3] = dv.getUint8(o++); // A
-  }
-  return { count, wCells, hCells, block, uvs, colors };
-}
-
-function fallbackCells() {
-  const count = 5000, wCells = 100, hCells = 50, block = 4;
-  const uvs = new Float32Array(count * 2);
-  const colors = new Uint8Array(count * 4);
-  for (let i = 0; i < count; i++) {
-    uvs[i * 2 + 0] = Math.random();
-    uvs[i * 2 + 1] = Math.random();
-    colors[i * 4 + 0] = Math.random() * 255;
-    colors[i * 4 + 1] = Math.random() * 255;
-    colors[i * 4 + 2] = Math.random() * 255;
-    colors[i * 4 + 3] = 255;
-  }
-  return { count, wCells, hCells, block, uvs, colors };
-}
-
-function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
+function makeInstancedParticles({ count, wCells, hCells, uvs, colors, depths, sizes, groups, normals }) {
   // Create a single plane geometry that will be instanced
   const planeGeom = new THREE.PlaneGeometry(1, 1);
   
@@ -608,232 +721,65 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
   // Add instance attributes
   geometry.setAttribute('aInstanceUV', new THREE.InstancedBufferAttribute(uvs, 2));
   geometry.setAttribute('aInstanceColor', new THREE.InstancedBufferAttribute(new Uint8Array(colors), 4, true));
+
+  // Optional CEL2 channels (neutral defaults when the file didn't carry them). Group and normal
+  // are exposed for shaders to use; the built-in one doesn't read them yet.
+  geometry.setAttribute('aInstanceDepth', new THREE.InstancedBufferAttribute(depths, 1));
+  geometry.setAttribute('aInstanceSizeWeight', new THREE.InstancedBufferAttribute(sizes, 1));
+  geometry.setAttribute('aInstanceGroup', new THREE.InstancedBufferAttribute(groups, 1));
+  geometry.setAttribute('aInstanceNormal', new THREE.InstancedBufferAttribute(normals, 3));
   
-  // Random start positions
+  // Random start positions (seeded per particle so offline renders repeat exactly)
+  const startRandom = (seed) => {
+    let x = Math.sin(seed) * 10000;
+    return x - Math.floor(x);
+  };
   const aStart = new Float32Array(count * 3);
   for (let i = 0; i < count; i++) {
-    const r = 2.5 * Math.cbrt(Math.random());
-    const th = Math.random() * Math.PI * 2;
-    const ph = Math.acos(2 * Math.random() - 1);
+    const r = 2.5 * Math.cbrt(startRandom(i * 12.345 + 1.234));
+    const th = startRandom(i * 34.567 + 5.678) * Math.PI * 2;
+    const ph = Math.acos(2 * startRandom(i * 56.789 + 9.012) - 1);
     aStart[i * 3 + 0] = r * Math.sin(ph) * Math.cos(th);
     aStart[i * 3 + 1] = r * Math.sin(ph) * Math.sin(th);
     aStart[i * 3 + 2] = r * Math.cos(ph);
   }
   geometry.setAttribute('aInstanceStart', new THREE.InstancedBufferAttribute(aStart, 3));
   
-  // Fade system attributes
-  // Create deterministic random order using seeded random
+  // Deterministic per-particle randomness (speeds, sizes)
   const seedRandom = (seed) => {
     let x = Math.sin(seed) * 10000;
     return x - Math.floor(x);
   };
   
-  // Create TWO separate particle orders - one for visibility, one for movement
-  const particleOrderVisibility = new Float32Array(count);
-  const particleOrderMovement = new Float32Array(count);
-  const indices = Array.from({ length: count }, (_, i) => i);
-  
-  // Function to calculate order value based on UV position
-  const getOrderValue = (u, v, mode, scale) => {
-    const x = (u - 0.5) * 2.0; // Convert to -1 to 1
-    const y = (v - 0.5) * 2.0;
-    
-    switch(mode) {
-      case 'radial':
-        // Distance from center, creating concentric circles
-        return Math.sqrt(x * x + y * y) * scale;
-        
-      case 'spiral':
-        // Spiral pattern from center
-        const angle = Math.atan2(y, x);
-        const dist = Math.sqrt(x * x + y * y);
-        return (dist * scale + (angle + Math.PI) / (2 * Math.PI)) % 1;
-        
-      case 'grid':
-        // Grid-based zones
-        const gridSize = Math.floor(5 * scale);
-        const gx = Math.floor((u * gridSize));
-        const gy = Math.floor((v * gridSize));
-        // Add small random offset within grid cell for variety
-        return (gy * gridSize + gx + seedRandom(gx * 17.23 + gy * 31.17) * 0.1) / (gridSize * gridSize);
-        
-      case 'horizontal':
-        // Left to right waves
-        return (u + Math.sin(v * Math.PI * 2 * scale) * 0.1);
-        
-      case 'vertical':
-        // Top to bottom waves
-        return (v + Math.sin(u * Math.PI * 2 * scale) * 0.1);
-        
-      case 'islands':
-        // Voronoi-based organic blob zones with very heavy distortion
-        const numCells = Math.floor(4 + 4 * scale); // 4-8 cells
-        const cells = [];
-        
-        // Generate Voronoi cell centers
-        for (let i = 0; i < numCells; i++) {
-          cells.push({
-            x: (seedRandom(i * 23.45) - 0.5) * 2,
-            y: (seedRandom(i * 34.56 + 100) - 0.5) * 2,
-            // Random fill priority - NOT based on position
-            priority: seedRandom(i * 789.01)
-          });
-        }
-        
-        // Sort cells by priority so they fill in random order
-        cells.sort((a, b) => a.priority - b.priority);
-        
-        // Create smooth noise function for organic distortion
-        const smoothNoise = (px, py, seed) => {
-          const ix = Math.floor(px);
-          const iy = Math.floor(py);
-          const fx = px - ix;
-          const fy = py - iy;
-          
-          // Smooth interpolation curves
-          const sx = fx * fx * (3 - 2 * fx);
-          const sy = fy * fy * (3 - 2 * fy);
-          
-          const n00 = seedRandom(ix * 12.9898 + iy * 78.233 + seed);
-          const n10 = seedRandom((ix + 1) * 12.9898 + iy * 78.233 + seed);
-          const n01 = seedRandom(ix * 12.9898 + (iy + 1) * 78.233 + seed);
-          const n11 = seedRandom((ix + 1) * 12.9898 + (iy + 1) * 78.233 + seed);
-          
-          const nx0 = n00 * (1 - sx) + n10 * sx;
-          const nx1 = n01 * (1 - sx) + n11 * sx;
-          
-          return nx0 * (1 - sy) + nx1 * sy;
-        };
-        
-        // Multi-scale smooth noise for very organic distortion
-        const distortionAmount = 0.8; // Much stronger distortion
-        
-        // Multiple octaves of smooth noise at different scales
-        const noise1 = smoothNoise(u * 5, v * 5, 123.45) - 0.5;
-        const noise2 = smoothNoise(u * 10, v * 10, 234.56) - 0.5;
-        const noise3 = smoothNoise(u * 20, v * 20, 345.67) - 0.5;
-        const noise4 = smoothNoise(u * 40, v * 40, 456.78) - 0.5;
-        
-        // Combine noise octaves with decreasing amplitude
-        const noiseX = noise1 * 0.5 + noise2 * 0.25 + noise3 * 0.125 + noise4 * 0.0625;
-        const noiseY = smoothNoise(u * 5, v * 5, 567.89) * 0.5 - 0.25 +
-                       smoothNoise(u * 10, v * 10, 678.90) * 0.25 - 0.125 +
-                       smoothNoise(u * 20, v * 20, 789.01) * 0.125 - 0.0625;
-        
-        // Apply heavy distortion to break up angular edges
-        const distortedX = x + noiseX * distortionAmount;
-        const distortedY = y + noiseY * distortionAmount;
-        
-        // Find closest cell using heavily distorted position
-        let closestCell = 0;
-        let minDist = 999;
-        let secondMinDist = 999;
-        
-        for (let i = 0; i < numCells; i++) {
-          const dx = distortedX - cells[i].x;
-          const dy = distortedY - cells[i].y;
-          
-          // Add additional radial noise distortion per cell
-          const angle = Math.atan2(dy, dx);
-          const radialNoise = smoothNoise(angle * 2, i * 10, i * 123.45) * 0.4;
-          
-          const dist = Math.sqrt(dx * dx + dy * dy) * (1.0 + radialNoise);
-          
-          if (dist < minDist) {
-            secondMinDist = minDist;
-            minDist = dist;
-            closestCell = i;
-          } else if (dist < secondMinDist) {
-            secondMinDist = dist;
-          }
-        }
-        
-        // Final order: cell index determines fill order
-        const cellOrder = closestCell / numCells;
-        
-        // Within each cell, add smooth organic variation
-        const withinCellNoise = smoothNoise(u * 30, v * 30, closestCell * 100) * 0.08;
-        
-        return cellOrder + withinCellNoise;
-        
-      case 'random':
-      default:
-        // Original random ordering
-        return seedRandom(u * 12.9898 + v * 78.233);
-    }
-  };
-  
-  // Sort indices for VISIBILITY order (using one random seed)
-  const indicesVis = [...indices];
-  indicesVis.sort((a, b) => {
-    // Use a different seed for visibility ordering
-    const orderA = seedRandom(uvs[a * 2] * 12.9898 + uvs[a * 2 + 1] * 78.233 + 1000);
-    const orderB = seedRandom(uvs[b * 2] * 12.9898 + uvs[b * 2 + 1] * 78.233 + 1000);
-    return orderA - orderB;
-  });
-  
-  // Sort indices for MOVEMENT order (using different random seed)
-  const indicesMove = [...indices];
-  indicesMove.sort((a, b) => {
-    // Use a different seed for movement ordering
-    const orderA = seedRandom(uvs[a * 2] * 45.678 + uvs[a * 2 + 1] * 123.456 + 2000);
-    const orderB = seedRandom(uvs[b * 2] * 45.678 + uvs[b * 2 + 1] * 123.456 + 2000);
-    return orderA - orderB;
-  });
-  
-  // Store both order indices for each particle
-  for (let i = 0; i < count; i++) {
-    particleOrderVisibility[indicesVis[i]] = i / count; // Normalized position in visibility order
-    particleOrderMovement[indicesMove[i]] = i / count; // Normalized position in movement order
-  }
+  // Separate fill orders for visibility and movement (see fill-patterns.js)
+  const particleOrderVisibility = computeChannelOrder({ count, uvs, colors, wCells, hCells }, params, 'visibility');
+  const particleOrderMovement = computeChannelOrder({ count, uvs, colors, wCells, hCells }, params, 'movement');
   
   geometry.setAttribute('aParticleOrderVisibility', new THREE.InstancedBufferAttribute(particleOrderVisibility, 1));
   geometry.setAttribute('aParticleOrderMovement', new THREE.InstancedBufferAttribute(particleOrderMovement, 1));
   
-  // Current opacity for each particle (starts at 1)
-  const aOpacity = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aOpacity[i] = 1.0;
-  }
-  geometry.setAttribute('aOpacity', new THREE.InstancedBufferAttribute(aOpacity, 1));
-  
-  // Target opacity (what we're fading to)
-  const aTargetOpacity = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aTargetOpacity[i] = 1.0;
-  }
-  geometry.setAttribute('aTargetOpacity', new THREE.InstancedBufferAttribute(aTargetOpacity, 1));
+  // Fade state (value, start time, target opacity) evaluated in the shader; starts visible
+  geometry.setAttribute('aFadeState', new THREE.InstancedBufferAttribute(createStateArray(count, 1.0), 3));
   
   // Fade speed for each particle (deterministic based on index)
   const aFadeSpeed = new Float32Array(count);
   for (let i = 0; i < count; i++) {
     const t = seedRandom(i * 45.233 + 12.9898);
-    const frames = params.fadeSpeedMin + t * (params.fadeSpeedMax - params.fadeSpeedMin);
-    aFadeSpeed[i] = 1.0 / frames;
+    const seconds = params.fadeTimeMin + t * (params.fadeTimeMax - params.fadeTimeMin);
+    aFadeSpeed[i] = 1.0 / seconds;
   }
   geometry.setAttribute('aFadeSpeed', new THREE.InstancedBufferAttribute(aFadeSpeed, 1));
   
   // Movement system attributes
-  // Current progress for each particle (0 = start position, 1 = target position)
-  const aProgress = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aProgress[i] = 0.0; // Start at turbulent position
-  }
-  geometry.setAttribute('aProgress', new THREE.InstancedBufferAttribute(aProgress, 1));
-  
-  // Target progress (what we're moving towards)
-  const aTargetProgress = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aTargetProgress[i] = 0.0; // Initially not moving to target
-  }
-  geometry.setAttribute('aTargetProgress', new THREE.InstancedBufferAttribute(aTargetProgress, 1));
+  // Move state (value, start time, target progress): 0 = start position, 1 = target position
+  geometry.setAttribute('aMoveState', new THREE.InstancedBufferAttribute(createStateArray(count, 0.0), 3));
   
   // Movement speed for each particle (deterministic based on index)
   const aMoveSpeed = new Float32Array(count);
   for (let i = 0; i < count; i++) {
     const t = seedRandom(i * 67.891 + 23.456); // Different seed for movement
-    const frames = params.moveSpeedMin + t * (params.moveSpeedMax - params.moveSpeedMin);
-    aMoveSpeed[i] = 1.0 / frames;
+    const seconds = params.moveTimeMin + t * (params.moveTimeMax - params.moveTimeMin);
+    aMoveSpeed[i] = 1.0 / seconds;
   }
   geometry.setAttribute('aMoveSpeed', new THREE.InstancedBufferAttribute(aMoveSpeed, 1));
   
@@ -845,11 +791,16 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
   }
   geometry.setAttribute('aRandomSize', new THREE.InstancedBufferAttribute(aRandomSize, 1));
 
+  // Targets are driven by the visibility/movement order thresholds
+  geometry.userData.fadeTrack = createStateTrack(geometry.attributes.aFadeState, geometry.attributes.aFadeSpeed, geometry.attributes.aParticleOrderVisibility);
+  geometry.userData.moveTrack = createStateTrack(geometry.attributes.aMoveState, geometry.attributes.aMoveSpeed, geometry.attributes.aParticleOrderMovement);
+
   const uniforms = {
     uTime: { value: 0 },
     uPlane: { value: new THREE.Vector2(1, 1) },
     uImgAspect: { value: wCells / hCells },
     uParticleSizeTarget: { value: params.particleSizeTarget },
+    uDepthScale: { value: params.depthScale },
     uSoftness: { value: params.softness },
     uEdgeFade: { value: params.edgeFade },
     uTurbulence1Amount: { value: params.turbulence1Amount },
@@ -862,15 +813,24 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
     uTurbulence2Evolution: { value: params.turbulence2Evolution },
     uVisiblePercentage: { value: params.visiblePercentage },
     uMovePercentage: { value: params.movePercentage },
-    uDeltaTime: { value: 0 }
+    uDeltaTime: { value: 0 },
+    uStateTime: { value: stateTime },
+    uFadeEasing: { value: easingIndex(params.fadeEasing) },
+    uMoveEasing: { value: easingIndex(params.moveEasing) }
   };
 
   const vertexShader = `
     attribute vec2 aInstanceUV;
     attribute vec3 aInstanceStart;
     attribute vec4 aInstanceColor;
-    attribute float aOpacity;
-    attribute float aProgress;
+    attribute float aInstanceDepth;
+    attribute float aInstanceSizeWeight;
+    attribute float aInstanceGroup;
+    attribute vec3 aInstanceNormal;
+    attribute vec3 aFadeState;
+    attribute float aFadeSpeed;
+    attribute vec3 aMoveState;
+    attribute float aMoveSpeed;
     attribute float aRandomSize;
     
     varying vec4 vColor;
@@ -881,6 +841,7 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
     uniform float uImgAspect;
     uniform vec2 uPlane;
     uniform float uParticleSizeTarget;
+    uniform float uDepthScale;
     uniform float uTurbulence1Amount;
     uniform float uTurbulence1Speed;
     uniform float uTurbulence1Scale;
@@ -889,7 +850,9 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
     uniform float uTurbulence2Speed;
     uniform float uTurbulence2Scale;
     uniform float uTurbulence2Evolution;
-
+    uniform int uFadeEasing;
+    uniform int uMoveEasing;
+${PARTICLE_STATE_GLSL}
     vec3 n3(vec3 p){
       return vec3(
         sin(p.x + 1.7) + sin(p.y*1.3 + 2.1) + sin(p.z*0.7 + 4.2),
@@ -901,7 +864,8 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
     void main(){
       vColor = aInstanceColor;
       vUv = uv;
-      vOpacity = aOpacity;
+      vOpacity = stateValue(aFadeState, aFadeSpeed, uFadeEasing);
+      float progress = stateValue(aMoveState, aMoveSpeed, uMoveEasing);
 
       // Map instance UV to image plane
       float planeAspect = uPlane.x / uPlane.y;
@@ -913,7 +877,7 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
         p.y *= (planeAspect / uImgAspect);
       }
       
-      vec3 target = vec3(p * 0.5 * uPlane, 0.0);
+      vec3 target = vec3(p * 0.5 * uPlane, aInstanceDepth * uDepthScale);
 
       // Two layers of turbulence with evolution
       vec3 start = aInstanceStart;
@@ -928,11 +892,11 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
       
       vec3 turbulent = start + wobble1 + wobble2;
 
-      // Use per-particle progress (already smoothstepped in JavaScript)
-      vec3 instancePos = mix(turbulent, target, aProgress);
+      // Use per-particle progress (eased in stateValue)
+      vec3 instancePos = mix(turbulent, target, progress);
 
       // Interpolate particle size based on progress
-      float particleSize = mix(aRandomSize, uParticleSizeTarget, aProgress);
+      float particleSize = mix(aRandomSize, uParticleSizeTarget * aInstanceSizeWeight, progress);
 
       // Billboard the particle to face camera
       vec4 mvPosition = modelViewMatrix * vec4(instancePos, 1.0);
@@ -1010,21 +974,14 @@ function makeFrameHelper(planeVec2, imgAspect) {
 
 // Update which particles should be visible based on percentage
 function updateParticleTargets(geometry) {
-  const count = geometry.attributes.aTargetOpacity.count;
-  const targetOpacity = geometry.attributes.aTargetOpacity.array;
-  const particleOrderVisibility = geometry.attributes.aParticleOrderVisibility.array;
-  
-  // Set target opacity based on VISIBILITY particle order
-  // Particles with order < visiblePercentage should be visible
-  for (let i = 0; i < count; i++) {
-    targetOpacity[i] = particleOrderVisibility[i] < params.visiblePercentage ? 1.0 : 0.0;
-  }
-  
-  geometry.attributes.aTargetOpacity.needsUpdate = true;
+  // Particles with VISIBILITY order < visiblePercentage fade in, the rest fade out.
+  // Only particles whose target flips are touched, so calling this every frame is cheap.
+  geometry.userData.fadeTrack.setThreshold(params.visiblePercentage, stateTime);
 }
 
 // Update fade speeds when parameters change (keeps deterministic ratio)
 function updateFadeSpeeds(geometry) {
+  geometry.userData.fadeTrack.rebase(stateTime); // Keep running fades continuous
   const count = geometry.attributes.aFadeSpeed.count;
   const fadeSpeed = geometry.attributes.aFadeSpeed.array;
   
@@ -1037,86 +994,22 @@ function updateFadeSpeeds(geometry) {
   for (let i = 0; i < count; i++) {
     // Use deterministic random based on particle index
     const t = seedRandom(i * 45.233 + 12.9898);
-    const frames = params.fadeSpeedMin + t * (params.fadeSpeedMax - params.fadeSpeedMin);
-    fadeSpeed[i] = 1.0 / frames;
+    const seconds = params.fadeTimeMin + t * (params.fadeTimeMax - params.fadeTimeMin);
+    fadeSpeed[i] = 1.0 / seconds;
   }
   
   geometry.attributes.aFadeSpeed.needsUpdate = true;
 }
 
-// Smoothstep function for S-curve interpolation
-function smoothstep(edge0, edge1, x) {
-  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
-  return t * t * (3 - 2 * t);
-}
-
-// Update particle opacity every frame with S-curve
-function updateParticleVisibility(geometry, deltaTime) {
-  const count = geometry.attributes.aOpacity.count;
-  const opacity = geometry.attributes.aOpacity.array;
-  const targetOpacity = geometry.attributes.aTargetOpacity.array;
-  const fadeSpeed = geometry.attributes.aFadeSpeed.array;
-  
-  // Assuming 60 FPS for frame-based fade speed
-  const frameMultiplier = deltaTime * 60;
-  
-  // Store internal progress for S-curve (would be better as attribute but minimizing changes)
-  if (!geometry.userData.fadeProgress) {
-    geometry.userData.fadeProgress = new Float32Array(count);
-    for (let i = 0; i < count; i++) {
-      geometry.userData.fadeProgress[i] = opacity[i]; // Initialize with current opacity
-    }
-  }
-  const fadeProgress = geometry.userData.fadeProgress;
-  
-  for (let i = 0; i < count; i++) {
-    const target = targetOpacity[i];
-    const current = opacity[i];
-    const diff = target - current;
-    
-    if (Math.abs(diff) > 0.001) {
-      // Update linear progress
-      const step = fadeSpeed[i] * frameMultiplier;
-      
-      if (diff > 0) {
-        fadeProgress[i] = Math.min(fadeProgress[i] + step, 1.0);
-      } else {
-        fadeProgress[i] = Math.max(fadeProgress[i] - step, 0.0);
-      }
-      
-      // Apply S-curve to the progress
-      if (target > 0.5) {
-        // Fading in: use smoothstep from 0 to 1
-        opacity[i] = smoothstep(0, 1, fadeProgress[i]);
-      } else {
-        // Fading out: use smoothstep from 1 to 0
-        opacity[i] = smoothstep(0, 1, fadeProgress[i]);
-      }
-    } else {
-      fadeProgress[i] = target; // Sync progress when reached target
-    }
-  }
-  
-  geometry.attributes.aOpacity.needsUpdate = true;
-}
-
 // Update movement targets based on percentage (like opacity)
 function updateMovementTargets(geometry) {
-  const count = geometry.attributes.aTargetProgress.count;
-  const targetProgress = geometry.attributes.aTargetProgress.array;
-  const particleOrderMovement = geometry.attributes.aParticleOrderMovement.array;
-  
-  // Set target progress based on MOVEMENT particle order
-  // Particles with order < movePercentage should move to target
-  for (let i = 0; i < count; i++) {
-    targetProgress[i] = particleOrderMovement[i] < params.movePercentage ? 1.0 : 0.0;
-  }
-  
-  geometry.attributes.aTargetProgress.needsUpdate = true;
+  // Particles with MOVEMENT order < movePercentage should move to target
+  geometry.userData.moveTrack.setThreshold(params.movePercentage, stateTime);
 }
 
 // Update move speeds when parameters change (keeps deterministic ratio)
 function updateMoveSpeeds(geometry) {
+  geometry.userData.moveTrack.rebase(stateTime); // Keep running moves continuous
   const count = geometry.attributes.aMoveSpeed.count;
   const moveSpeed = geometry.attributes.aMoveSpeed.array;
   
@@ -1129,63 +1022,13 @@ function updateMoveSpeeds(geometry) {
   for (let i = 0; i < count; i++) {
     // Use deterministic random based on particle index
     const t = seedRandom(i * 67.891 + 23.456);
-    const frames = params.moveSpeedMin + t * (params.moveSpeedMax - params.moveSpeedMin);
-    moveSpeed[i] = 1.0 / frames;
+    const seconds = params.moveTimeMin + t * (params.moveTimeMax - params.moveTimeMin);
+    moveSpeed[i] = 1.0 / seconds;
   }
   
   geometry.attributes.aMoveSpeed.needsUpdate = true;
 }
 
-// Update particle movement every frame with S-curve
-function updateParticleMovement(geometry, deltaTime) {
-  const count = geometry.attributes.aProgress.count;
-  const progress = geometry.attributes.aProgress.array;
-  const targetProgress = geometry.attributes.aTargetProgress.array;
-  const moveSpeed = geometry.attributes.aMoveSpeed.array;
-  
-  // Assuming 60 FPS for frame-based move speed
-  const frameMultiplier = deltaTime * 60;
-  
-  // Store internal progress for S-curve
-  if (!geometry.userData.moveProgress) {
-    geometry.userData.moveProgress = new Float32Array(count);
-    for (let i = 0; i < count; i++) {
-      geometry.userData.moveProgress[i] = progress[i]; // Initialize with current progress
-    }
-  }
-  const moveProgress = geometry.userData.moveProgress;
-  
-  for (let i = 0; i < count; i++) {
-    const target = targetProgress[i];
-    const current = progress[i];
-    const diff = target - current;
-    
-    if (Math.abs(diff) > 0.001) {
-      // Update linear progress
-      const step = moveSpeed[i] * frameMultiplier;
-      
-      if (diff > 0) {
-        moveProgress[i] = Math.min(moveProgress[i] + step, 1.0);
-      } else {
-        moveProgress[i] = Math.max(moveProgress[i] - step, 0.0);
-      }
-      
-      // Apply S-curve to the progress for smooth acceleration/deceleration
-      if (target > 0.5) {
-        // Moving to target: use smoothstep
-        progress[i] = smoothstep(0, 1, moveProgress[i]);
-      } else {
-        // Moving back to turbulent: use smoothstep
-        progress[i] = smoothstep(0, 1, moveProgress[i]);
-      }
-    } else {
-      moveProgress[i] = target; // Sync progress when reached target
-    }
-  }
-  
-  geometry.attributes.aProgress.needsUpdate = true;
-}
-
 // Update particle sizes when parameters change
 function updateParticleSizes(geometry) {
   const count = geometry.attributes.aRandomSize.count;
@@ -1208,20 +1051,173 @@ function updateParticleSizes(geometry) {
 
 // Animation System Functions
 
-// Store current params to selected state
+// Keyframe controls; destroyed and rebuilt whenever keyframes are added, removed or moved
+function buildKeyframeControls() {
+  if (!keyframeFolder) return;
+  [...keyframeFolder.children].forEach(c => c.destroy());
+
+  const keyframes = animationSystem.states;
+  const current = animationSystem.currentState;
+  const options = {};
+  keyframes.forEach((_, i) => { options[keyframeLabel(keyframes, i)] = i; });
+
+  keyframeFolder.add(animationSystem, 'currentState', options).name('Current Keyframe').onChange(v => {
+    selectKeyframe(parseInt(v));
+  });
+  keyframeFolder.add(keyframes[current], 'name').name('Name').onFinishChange(() => {
+    persistAnimation();
+    buildKeyframeControls();
+  });
+
+  // Duration of the segment leading into this keyframe (none for keyframe 0)
+  const durationControl = keyframeFolder.add(keyframes[current], 'duration', 0.1, 10, 0.1)
+    .name('Duration (seconds)')
+    .onFinishChange(() => persistAnimation());
+  if (current === 0) durationControl.disable();
+
+  // Easing of the segment leading into this keyframe
+  if (current > 0) {
+    const keyframe = keyframes[current];
+    keyframeFolder.add(keyframe, 'easing', KEYFRAME_EASINGS).name('Easing').onChange(v => {
+      if (v === 'bezier' && !keyframe.bezier) keyframe.bezier = [...DEFAULT_BEZIER];
+      persistAnimation();
+      buildKeyframeControls();
+    });
+    if (keyframe.easing === 'bezier') addBezierControls(keyframeFolder, keyframe.bezier);
+    // Where in the segment blend mode, fill patterns etc. jump to this keyframe's values
+    keyframeFolder.add(keyframe, 'switchAt', 0, 1, 0.01).name('Switch Discrete At').onFinishChange(() => persistAnimation());
+    addTrackControls(keyframeFolder.addFolder('Parameter Tracks'), keyframe);
+  }
+
+  // Store current params to selected keyframe
+  keyframeFolder.add({
+    store: () => storeAnimationState()
+  }, 'store').name('Store Current Params');
+
+  keyframeFolder.add({
+    add: () => editKeyframes(() => insertKeyframe(keyframes, current + 1, createKeyframe(JSON.parse(JSON.stringify(params)))))
+  }, 'add').name('＋ Add Keyframe After');
+  keyframeFolder.add({
+    duplicate: () => editKeyframes(() => duplicateKeyframe(keyframes, current))
+  }, 'duplicate').name('Duplicate Keyframe');
+  keyframeFolder.add({
+    earlier: () => editKeyframes(() => moveKeyframe(keyframes, current, current - 1))
+  }, 'earlier').name('◀ Move Earlier');
+  keyframeFolder.add({
+    later: () => editKeyframes(() => moveKeyframe(keyframes, current, current + 1))
+  }, 'later').name('Move Later ▶');
+  keyframeFolder.add({
+    remove: () => editKeyframes(() => removeKeyframe(keyframes, current))
+  }, 'remove').name('✕ Remove Keyframe');
+
+  buildPlaybackControls();
+}
+
+function buildPlaybackControls() {
+  if (!playbackFolder) return;
+  [...playbackFolder.children].forEach(c => c.destroy());
+
+  const playback = animationSystem.playback;
+  const keyframes = animationSystem.states;
+  const options = {};
+  keyframes.forEach((_, i) => { options[keyframeLabel(keyframes, i)] = i; });
+
+  playbackFolder.add(playback, 'mode', PLAYBACK_MODES).name('Mode').onChange(() => {
+    persistAnimation();
+    buildPlaybackControls();
+  });
+  playbackFolder.add(playback, 'speed', 0.1, 4, 0.05).name('Speed ×').onFinishChange(() => persistAnimation());
+  playbackFolder.add(playback, 'fromCurrent').name('Play From Current Keyframe').onChange(() => persistAnimation());
+
+  if (playback.mode === 'loop-range') {
+    if (playback.rangeEnd < 0 || playback.rangeEnd >= keyframes.length) playback.rangeEnd = keyframes.length - 1;
+    playback.rangeStart = Math.min(playback.rangeStart, playback.rangeEnd - 1);
+    playbackFolder.add(playback, 'rangeStart', options).name('Loop From').onChange(v => {
+      playback.rangeStart = parseInt(v);
+      persistAnimation();
+    });
+    playbackFolder.add(playback, 'rangeEnd', options).name('Loop To').onChange(v => {
+      playback.rangeEnd = parseInt(v);
+      persistAnimation();
+    });
+  }
+}
+
+// x1/y1/x2/y2 sliders editing a [x1, y1, x2, y2] bezier array in place
+function addBezierControls(folder, bezier) {
+  ['x1', 'y1', 'x2', 'y2'].forEach((label, i) => {
+    const [min, max] = i % 2 === 0 ? [0, 1] : [-1, 2];
+    folder.add(bezier, i, min, max, 0.01).name(`Bezier ${label}`).onFinishChange(() => persistAnimation());
+  });
+}
+
+// One parameter at a time: its sub-range of the segment and its own easing
+function addTrackControls(folder, keyframe) {
+  const tracks = keyframe.tracks || {};
+  const options = {};
+  ANIMATABLE_PARAMS.forEach(key => { options[tracks[key] ? `${key} ●` : key] = key; });
+  folder.add(trackEditor, 'param', options).name('Parameter').onChange(() => buildKeyframeControls());
+
+  const track = tracks[trackEditor.param];
+  if (!track) {
+    folder.add({
+      add: () => {
+        keyframe.tracks = { ...tracks, [trackEditor.param]: createTrack() };
+        persistAnimation();
+        buildKeyframeControls();
+      }
+    }, 'add').name('＋ Add Track');
+    return;
+  }
+
+  folder.add(track, 'start', 0, 1, 0.01).name('Start (of segment)').onFinishChange(() => persistAnimation());
+  folder.add(track, 'end', 0, 1, 0.01).name('End (of segment)').onFinishChange(() => persistAnimation());
+  folder.add(track, 'easing', ['inherit', ...KEYFRAME_EASINGS]).name('Easing').onChange(v => {
+    if (v === 'bezier' && !track.bezier) track.bezier = [...DEFAULT_BEZIER];
+    persistAnimation();
+    buildKeyframeControls();
+  });
+  if (track.easing === 'bezier') addBezierControls(folder, track.bezier);
+  folder.add({
+    remove: () => {
+      delete keyframe.tracks[trackEditor.param];
+      if (Object.keys(keyframe.tracks).length === 0) delete keyframe.tracks;
+      persistAnimation();
+      buildKeyframeControls();
+    }
+  }, 'remove').name('✕ Remove Track');
+}
+
+// Apply a structural edit, select the keyframe it returns and save
+function editKeyframes(edit) {
+  if (animationSystem.isPlaying) stopAnimation();
+  animationSystem.currentState = edit();
+  persistAnimation();
+  buildKeyframeControls();
+}
+
+function selectKeyframe(index) {
+  // Stop animation when changing keyframes
+  if (animationSystem.isPlaying) {
+    stopAnimation();
+  }
+  loadAnimationState(index);
+}
+
+// Save to localStorage only (don't download every time)
+function persistAnimation() {
+  localStorage.setItem('particleAnimation', JSON.stringify(serializeAnimation(animationSystem.states, animationSystem.playback), null, 2));
+}
+
+// Store current params to selected keyframe
 function storeAnimationState() {
   const state = animationSystem.currentState;
-  
+
   // Store ALL params when manually storing
   animationSystem.states[state].params = JSON.parse(JSON.stringify(params));
-  console.log(`Stored current params to state ${state}`);
-  
-  // Save to localStorage only (don't download every time)
-  const animData = {
-    states: animationSystem.states,
-    version: 1
-  };
-  localStorage.setItem('particleAnimation', JSON.stringify(animData, null, 2));
+  console.log(`Stored current params to keyframe ${state}`);
+
+  persistAnimation();
 }
 
 // Rendering System
@@ -1229,6 +1225,17 @@ function storeAnimationState() {
 let renderState = {
   isRendering: false,
   frameRate: 30,
+  width: 1920, // Output size in pixels at pixel ratio 1
+  height: 1080,
+  pixelRatio: 1,
+  backgroundAlpha: 1, // < 1 keeps backgroundColor partly transparent (PNG frames or luma matte)
+  alphaMode: 'straight', // How frame export delivers alpha: one of ALPHA_MODES (render-output.js)
+  separatePasses: false, // Frame export: particles and the background as separate sequences
+  videoContainer: 'mp4', // WebCodecs video: 'mp4' (H.264) | 'webm' (VP9); MediaRecorder is always WebM
+  frameFormat: 'jpg', // Frame export: 'jpg' | 'png'
+  archiveFormat: 'zip', // Frame export bundle: 'zip' | 'tar'
+  output: null, // Offscreen output while rendering (render-output.js)
+  clearAlpha: 1, // Background alpha of the render in progress
   currentFrame: 0,
   totalFrames: 0,
   startTime: 0,
@@ -1237,42 +1244,42 @@ let renderState = {
   stream: null
 };
 
-// Start MP4 rendering using MediaRecorder
+// Render the animation to video: WebCodecs with exact timestamps where available,
+// otherwise MediaRecorder capturing the output canvas in real time (WebM)
 async function startRendering() {
   if (renderState.isRendering) {
     console.log('Already rendering');
     return;
   }
   
-  // Check if we have animation states
-  let hasStates = false;
-  for (let i = 0; i < 5; i++) {
-    if (animationSystem.states[i].params && Object.keys(animationSystem.states[i].params).length > 0) {
-      hasStates = true;
-      break;
-    }
-  }
-  
-  if (!hasStates) {
-    alert('Please store parameters in states before rendering');
+  // Check if we have animation keyframes
+  if (!hasKeyframeParams(animationSystem.states)) {
+    alert('Please store parameters in keyframes before rendering');
     return;
   }
-  
+
   // Calculate total duration and frames
-  let totalDuration = 0;
-  for (let i = 1; i < 5; i++) {
-    totalDuration += animationSystem.states[i].duration;
-  }
+  const totalDuration = timelineDuration(animationSystem.states);
   
   renderState.totalFrames = Math.ceil(totalDuration * renderState.frameRate);
   renderState.currentFrame = 0;
+  
+  if (!isVideoEncoderSupported()) {
+    alert('This browser has no WebCodecs video encoder. Recording a real-time WebM with MediaRecorder instead.');
+  } else if (await encodeVideo(renderState.totalFrames)) {
+    return;
+  }
+  
   renderState.isRendering = true;
   
-  console.log(`Starting render: ${renderState.totalFrames} frames at ${renderState.frameRate}fps`);
+  console.log(`Starting MediaRecorder render: ${renderState.totalFrames} frames at ${renderState.frameRate}fps`);
   
   try {
-    // Create a MediaRecorder from canvas
-    const stream = canvas.captureStream(renderState.frameRate);
+    // Reset the simulation and render offscreen at the requested size
+    beginOfflineRender(1, true);
+    
+    // Create a MediaRecorder from the output canvas
+    const stream = renderState.output.canvas.captureStream(renderState.frameRate);
     renderState.stream = stream;
     
     const options = {
@@ -1314,6 +1321,7 @@ async function startRendering() {
       renderState.capturedFrames = [];
       renderState.recorder = null;
       renderState.stream = null;
+      endOfflineRender();
       
       // Return to state 0
       stopAnimation();
@@ -1329,21 +1337,72 @@ async function startRendering() {
     console.error('Error starting render:', err);
     alert('Error starting render. Check console for details.');
     renderState.isRendering = false;
+    endOfflineRender();
+  }
+}
+
+// Encode every frame through WebCodecs at timestamp frame / fps. Resolves false (nothing
+// rendered) when no encoder can be set up, so the caller can fall back to MediaRecorder.
+async function encodeVideo(totalFrames) {
+  const container = renderState.videoContainer;
+  renderState.isRendering = true;
+  
+  let encoder;
+  try {
+    beginOfflineRender(1, true);
+    encoder = await createVideoEncoder({
+      container,
+      width: renderState.output.width,
+      height: renderState.output.height,
+      fps: renderState.frameRate
+    });
+  } catch (err) {
+    console.warn('WebCodecs encoder unavailable, falling back to MediaRecorder:', err);
+    renderState.isRendering = false;
+    endOfflineRender();
+    alert(`Exact-timing ${container} encoding isn't available (${err.message}). Recording a real-time WebM with MediaRecorder instead.`);
+    return false;
   }
+  
+  console.log(`Starting ${encoder.codec} render: ${totalFrames} frames at ${renderState.frameRate}fps`);
+  
+  try {
+    for (let frame = 0; frame < totalFrames; frame++) {
+      renderOfflineFrame(frame);
+      await encoder.addFrame(renderState.output.canvas, frame);
+      console.log(`Encoded frame ${frame + 1}/${totalFrames}`);
+    }
+    
+    const url = URL.createObjectURL(await encoder.finish());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `particle-animation-${Date.now()}.${container}`;
+    a.click();
+    URL.revokeObjectURL(url);
+    console.log('Render complete - video downloaded');
+  } catch (err) {
+    console.error('Error encoding video:', err);
+    alert('Error encoding video. Check console for details.');
+  } finally {
+    encoder.close();
+    renderState.isRendering = false;
+    endOfflineRender();
+  }
+  
+  // Return to state 0
+  stopAnimation();
+  return true;
 }
 
-// Render animation frame by frame
+// Render animation frame by frame (MediaRecorder fallback)
 function renderFrameByFrame() {
   if (!renderState.isRendering) return;
   
   const frameTime = renderState.currentFrame / renderState.frameRate;
   
   // Calculate total duration
-  let totalDuration = 0;
-  for (let i = 1; i < 5; i++) {
-    totalDuration += animationSystem.states[i].duration;
-  }
-  
+  const totalDuration = timelineDuration(animationSystem.states);
+
   if (frameTime >= totalDuration) {
     // Rendering complete
     console.log('All frames rendered');
@@ -1353,39 +1412,8 @@ function renderFrameByFrame() {
     return;
   }
   
-  // Find which states we're between at this frame time
-  let accumulatedTime = 0;
-  let fromState = 0;
-  let toState = 1;
-  let stateProgress = 0;
-  
-  for (let i = 1; i < 5; i++) {
-    const stateDuration = animationSystem.states[i].duration;
-    
-    if (frameTime < accumulatedTime + stateDuration) {
-      fromState = i - 1;
-      toState = i;
-      stateProgress = (frameTime - accumulatedTime) / stateDuration;
-      break;
-    }
-    
-    accumulatedTime += stateDuration;
-    
-    if (i === 4 && frameTime >= accumulatedTime) {
-      fromState = 3;
-      toState = 4;
-      stateProgress = 1;
-    }
-  }
-  
-  // Interpolate states for this frame
-  interpolateStates(fromState, toState, stateProgress);
-  
-  // Update time-based uniforms
-  uniforms.uTime.value = frameTime;
-  
-  // Force render
-  renderer.render(scene, camera);
+  // Step the simulation to this frame and render it
+  renderOfflineFrame(renderState.currentFrame);
   
   // Update progress
   const progress = renderState.currentFrame / renderState.totalFrames;
@@ -1397,95 +1425,186 @@ function renderFrameByFrame() {
   requestAnimationFrame(() => renderFrameByFrame());
 }
 
-// Export individual frames as PNG files with deterministic timing
+// Offline renders start from keyframe 0 with every particle settled at its target and the
+// state clock at 0, so the same animation renders the same frames on every run. They draw into
+// an offscreen output of the render settings' size (even-sized for video); the camera and
+// uPlane follow its aspect.
+function beginOfflineRender(clearAlpha, video = false) {
+  renderState.output = createRenderOutput(renderer, { ...renderState, evenSize: video });
+  renderState.clearAlpha = clearAlpha;
+  camera.aspect = renderState.output.width / renderState.output.height;
+  camera.updateProjectionMatrix();
+  uniforms.uPlane.value.copy(planeSizeAtZ0());
+  
+  animationSystem.isPlaying = false;
+  animationSystem.currentPlayTime = 0;
+  stateTime = 0;
+  uniforms.uStateTime.value = 0;
+  if (animationSystem.states[0].params && Object.keys(animationSystem.states[0].params).length > 0) {
+    loadAnimationState(0);
+  }
+  particles.geometry.userData.fadeTrack.settle(stateTime);
+  particles.geometry.userData.moveTrack.settle(stateTime);
+}
+
+// Drop the offscreen output and go back to the window's size and aspect
+function endOfflineRender() {
+  if (renderState.output) renderState.output.dispose();
+  renderState.output = null;
+  renderState.clearAlpha = 1;
+  onResize();
+}
+
+// Advance every clock to frame `frame` and render the whole scene (video paths)
+function renderOfflineFrame(frame) {
+  stepOfflineFrame(frame);
+  renderOffline(renderState.clearAlpha);
+}
+
+// Render the offscreen output with the frame helper (an editing aid) left out
+function renderOffline(clearAlpha, alphaMode) {
+  const frameHelper = window.frame;
+  const frameVisible = !!(frameHelper && frameHelper.visible);
+  if (frameVisible) frameHelper.visible = false;
+  renderState.output.render(scene, camera, params.backgroundColor, clearAlpha, alphaMode);
+  if (frameVisible) frameHelper.visible = true;
+}
+
+// Layers for separate passes: the particles on transparency, then the background colour on its
+// own (the scene holds nothing else that gets exported)
+const RENDER_PASSES = [
+  { name: 'particles', shows: object => object === particles },
+  { name: 'background', shows: () => false }
+];
+
+// Render one pass of the current frame (null = the whole scene) with only its layer visible
+function renderOfflinePass(pass, alphaMode) {
+  const hidden = pass ? scene.children.filter(object => object.visible && !pass.shows(object)) : [];
+  hidden.forEach(object => { object.visible = false; });
+  const isLast = !pass || pass === RENDER_PASSES[RENDER_PASSES.length - 1];
+  renderOffline(isLast ? renderState.clearAlpha : 0, alphaMode);
+  hidden.forEach(object => { object.visible = true; });
+}
+
+// Advance every clock to frame `frame` (exactly frame / fps seconds, never accumulated) and apply
+// the keyframes for that time (which retargets particles against the state clock)
+function stepOfflineFrame(frame) {
+  const frameTime = frame / renderState.frameRate;
+  stateTime = frameTime;
+  uniforms.uStateTime.value = stateTime;
+  uniforms.uTime.value = frameTime;
+  uniforms.uDeltaTime.value = frame === 0 ? 0 : 1 / renderState.frameRate;
+  animationSystem.currentPlayTime = frameTime;
+
+  const { from, to, t } = locateTime(animationSystem.states, frameTime);
+  interpolateStates(from, to, t);
+}
+
+// Export every frame (JPEG or PNG) with deterministic timing into one ZIP/TAR with a manifest
 async function startFrameExport() {
   if (renderState.isRendering) {
     console.log('Already rendering');
     return;
   }
 
-  // Check if we have animation states
-  let hasStates = false;
-  for (let i = 0; i < 5; i++) {
-    if (animationSystem.states[i].params && Object.keys(animationSystem.states[i].params).length > 0) {
-      hasStates = true;
-      break;
-    }
-  }
-
-  if (!hasStates) {
-    alert('Please store parameters in states before rendering');
+  // Check if we have animation keyframes
+  if (!hasKeyframeParams(animationSystem.states)) {
+    alert('Please store parameters in keyframes before rendering');
     return;
   }
 
   // Calculate total duration and frames
-  let totalDuration = 0;
-  for (let i = 1; i < 5; i++) {
-    totalDuration += animationSystem.states[i].duration;
-  }
+  const totalDuration = timelineDuration(animationSystem.states);
 
   const totalFrames = Math.ceil(totalDuration * renderState.frameRate);
+  const format = renderState.frameFormat;
+  // JPEG has no alpha channel, so only PNG frames (or a separate luma matte) keep a transparent background
+  const alphaMode = renderState.alphaMode;
+  const clearAlpha = format === 'png' || alphaMode === 'luma-matte' ? renderState.backgroundAlpha : 1;
+  const hasAlpha = clearAlpha < 1 || renderState.separatePasses;
+  const passes = renderState.separatePasses ? RENDER_PASSES : [null];
+  const withMatte = hasAlpha && alphaMode === 'luma-matte';
+  // Transparent JPEG passes can only be premultiplied (over black)
+  const deliveredMode = !hasAlpha ? 'straight' : format === 'jpg' && alphaMode === 'straight' ? 'premultiplied' : alphaMode;
+
+  // One image sequence per pass (and matte), each in its own folder ('.' = archive root)
+  const sequences = passes.flatMap(pass => {
+    const folder = pass ? pass.name : '.';
+    return withMatte ? [folder, pass ? `${pass.name}/matte` : 'matte'] : [folder];
+  });
 
-  if (!confirm(`This will export ${totalFrames} JPEG frames. Continue?`)) {
+  // Every frame plus the manifest; checked now rather than after rendering them all
+  if (renderState.archiveFormat === 'zip' && totalFrames * sequences.length + 1 > ZIP_MAX_ENTRIES) {
+    alert(`${totalFrames * sequences.length} frames is more than a ZIP can hold (${ZIP_MAX_ENTRIES} entries). Choose TAR, fewer passes or a shorter animation.`);
     return;
   }
 
-  renderState.isRendering = true;
-  console.log(`Starting frame export: ${totalFrames} frames at ${renderState.frameRate}fps`);
-
-  // Use deterministic frame timing - no delays, just sequential processing
-  for (let frame = 0; frame < totalFrames; frame++) {
-    const frameTime = frame / renderState.frameRate;
+  if (!confirm(`This will export ${totalFrames * sequences.length} ${format.toUpperCase()} frames into one ${renderState.archiveFormat.toUpperCase()}. Continue?`)) {
+    return;
+  }
 
-    // Find which states we're between
-    let accumulatedTime = 0;
-    let fromState = 0;
-    let toState = 1;
-    let stateProgress = 0;
+  // Same animation + params → same hash, so archives can be matched to what produced them
+  const animationHash = hashString(JSON.stringify({
+    animation: serializeAnimation(animationSystem.states, animationSystem.playback),
+    params
+  }));
+  const archive = createFrameArchive(renderState.archiveFormat);
 
-    for (let i = 1; i < 5; i++) {
-      const stateDuration = animationSystem.states[i].duration;
+  renderState.isRendering = true;
+  console.log(`Starting frame export: ${totalFrames} frames at ${renderState.frameRate}fps`);
 
-      if (frameTime < accumulatedTime + stateDuration) {
-        fromState = i - 1;
-        toState = i;
-        stateProgress = (frameTime - accumulatedTime) / stateDuration;
-        break;
+  try {
+    // Reset the simulation and render offscreen at the requested size
+    beginOfflineRender(clearAlpha);
+    const output = renderState.output;
+
+    await archive.add('manifest.json', new Blob([JSON.stringify({
+      fps: renderState.frameRate,
+      width: output.width,
+      height: output.height,
+      frameCount: totalFrames,
+      duration: totalDuration,
+      format,
+      alpha: hasAlpha,
+      alphaMode: hasAlpha ? deliveredMode : null,
+      pattern: `frame_%05d.${format}`,
+      sequences,
+      animationHash,
+      createdAt: new Date().toISOString()
+    }, null, 2)], { type: 'application/json' }));
+
+    // Use deterministic frame timing - no delays, just sequential processing
+    const mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+    const toBlob = source => new Promise(resolve => source.toBlob(resolve, mimeType, 0.95));
+    for (let frame = 0; frame < totalFrames; frame++) {
+      // Step the simulation to the exact frame time and render each pass
+      stepOfflineFrame(frame);
+      const name = `frame_${String(frame).padStart(5, '0')}.${format}`;
+      for (const pass of passes) {
+        renderOfflinePass(pass, deliveredMode);
+        const prefix = pass ? `${pass.name}/` : '';
+        await archive.add(prefix + name, await toBlob(output.canvas));
+        if (withMatte) await archive.add(`${prefix}matte/${name}`, await toBlob(output.matteCanvas));
       }
 
-      accumulatedTime += stateDuration;
-
-      if (i === 4 && frameTime >= accumulatedTime) {
-        fromState = 3;
-        toState = 4;
-        stateProgress = 1;
-      }
+      console.log(`Exported frame ${frame + 1}/${totalFrames}`);
     }
 
-    // Interpolate states
-    interpolateStates(fromState, toState, stateProgress);
-
-    // Update time to exact frame time
-    uniforms.uTime.value = frameTime;
-
-    // Render frame at exact time
-    renderer.render(scene, camera);
-
-    // Export frame as JPEG synchronously
-    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.95));
-    const url = URL.createObjectURL(blob);
+    const url = URL.createObjectURL(archive.finish());
     const a = document.createElement('a');
     a.href = url;
-    a.download = `frame_${String(frame).padStart(5, '0')}.jpg`;
+    a.download = `particle-frames-${animationHash}.${renderState.archiveFormat}`;
     a.click();
     URL.revokeObjectURL(url);
-
-    console.log(`Exported frame ${frame + 1}/${totalFrames}`);
+    console.log('Frame export complete');
+  } catch (err) {
+    console.error('Frame export failed:', err);
+    alert('Frame export failed. Check console for details.');
+  } finally {
+    renderState.isRendering = false;
+    endOfflineRender();
   }
 
-  renderState.isRendering = false;
-  console.log('Frame export complete');
-
   // Return to state 0
   stopAnimation();
 }
@@ -1494,26 +1613,29 @@ async function startFrameExport() {
 function loadAnimationState(stateIndex) {
   const state = animationSystem.states[stateIndex];
   animationSystem.currentState = stateIndex;
+  buildKeyframeControls();
   
   if (state.params && Object.keys(state.params).length > 0) {
     // Update each param individually so GUI sees the changes
     for (const key in state.params) {
       if (params.hasOwnProperty(key)) {
-        params[key] = state.params[key];
+        const value = state.params[key];
+        params[key] = value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
       }
     }
     
     // Update all uniforms and controls
     applyAllParams();
+    FILL_CHANNELS.forEach(buildFillPatternControls);
     
     // Force GUI to update all displays
     if (gui) {
       gui.controllersRecursive().forEach(c => c.updateDisplay());
     }
     
-    console.log(`Loaded state ${stateIndex}`);
+    console.log(`Loaded keyframe ${stateIndex}`);
   } else {
-    console.log(`State ${stateIndex} is empty`);
+    console.log(`Keyframe ${stateIndex} is empty`);
   }
 }
 
@@ -1525,6 +1647,7 @@ function applyAllParams() {
   
   // Apply ALL uniforms (including non-animatable ones)
   uniforms.uParticleSizeTarget.value = params.particleSizeTarget;
+  uniforms.uDepthScale.value = params.depthScale;
   uniforms.uSoftness.value = params.softness;
   uniforms.uEdgeFade.value = params.edgeFade;
   uniforms.uTurbulence1Amount.value = params.turbulence1Amount;
@@ -1536,39 +1659,23 @@ function applyAllParams() {
   uniforms.uTurbulence2Scale.value = params.turbulence2Scale;
   uniforms.uTurbulence2Evolution.value = params.turbulence2Evolution;
   uniforms.uVisiblePercentage.value = params.visiblePercentage;
+  uniforms.uFadeEasing.value = easingIndex(params.fadeEasing);
+  uniforms.uMoveEasing.value = easingIndex(params.moveEasing);
   uniforms.uMovePercentage.value = params.movePercentage;
   
   // Apply other params
   renderer.setClearColor(params.backgroundColor);
   
   // Update blend mode
-  switch(params.blendMode) {
-    case 'additive':
-      particles.material.blending = THREE.AdditiveBlending;
-      break;
-    case 'screen':
-      particles.material.blending = THREE.CustomBlending;
-      particles.material.blendEquation = THREE.AddEquation;
-      particles.material.blendSrc = THREE.OneFactor;
-      particles.material.blendDst = THREE.OneFactor;
-      break;
-    case 'normal':
-      particles.material.blending = THREE.NormalBlending;
-      break;
-    default: // premultiplied
-      particles.material.blending = THREE.CustomBlending;
-      particles.material.blendEquation = THREE.AddEquation;
-      particles.material.blendSrc = THREE.OneFactor;
-      particles.material.blendDst = THREE.OneMinusSrcAlphaFactor;
-  }
-  particles.material.needsUpdate = true;
-  
+  applyBlendMode(params.blendMode);
+    
   // Update frame visibility
   if (window.frame) {
     window.frame.visible = params.showFrame;
   }
   
-  // Update particle targets
+  // Update particle order and targets
+  updateParticleOrdering(particles.geometry, window.particleData);
   updateParticleTargets(particles.geometry);
   updateMovementTargets(particles.geometry);
   updateParticleSizes(particles.geometry);
@@ -1576,11 +1683,16 @@ function applyAllParams() {
   updateFadeSpeeds(particles.geometry);
 }
 
-// Apply only animatable parameters (for animation playback)
-function applyAnimatableParams() {
+// Apply interpolated parameters (for animation playback); per-particle buffers are only
+// rebuilt for the params listed in `changed`
+function applyAnimatableParams(changed = []) {
   if (!uniforms || !particles) return;
   
-  // Apply ONLY the animatable uniforms (NO size parameters)
+  // Uniforms are cheap, so apply them all
+  uniforms.uParticleSizeTarget.value = params.particleSizeTarget;
+  uniforms.uDepthScale.value = params.depthScale;
+  uniforms.uSoftness.value = params.softness;
+  uniforms.uEdgeFade.value = params.edgeFade;
   uniforms.uTurbulence1Amount.value = params.turbulence1Amount;
   uniforms.uTurbulence1Speed.value = params.turbulence1Speed;
   uniforms.uTurbulence1Scale.value = params.turbulence1Scale;
@@ -1591,39 +1703,64 @@ function applyAnimatableParams() {
   uniforms.uTurbulence2Evolution.value = params.turbulence2Evolution;
   uniforms.uVisiblePercentage.value = params.visiblePercentage;
   uniforms.uMovePercentage.value = params.movePercentage;
+  uniforms.uFadeEasing.value = easingIndex(params.fadeEasing);
+  uniforms.uMoveEasing.value = easingIndex(params.moveEasing);
+  renderer.setClearColor(params.backgroundColor);
+  
+  const hasChanged = keys => keys.some(key => changed.includes(key));
+  if (changed.includes('blendMode')) applyBlendMode(params.blendMode);
+  if (changed.includes('showFrame') && window.frame) window.frame.visible = params.showFrame;
+  if (hasChanged(ORDER_PARAMS)) updateParticleOrdering(particles.geometry, window.particleData);
+  if (hasChanged(SIZE_PARAMS)) updateParticleSizes(particles.geometry);
+  if (hasChanged(FADE_TIME_PARAMS)) updateFadeSpeeds(particles.geometry);
+  if (hasChanged(MOVE_TIME_PARAMS)) updateMoveSpeeds(particles.geometry);
   
   // Update particle targets for visibility and movement
   updateParticleTargets(particles.geometry);
   updateMovementTargets(particles.geometry);
-  
-  // DO NOT update particle sizes, softness, edge fade, etc.
 }
 
-// Start animation playback
-function startAnimation() {
-  // Check if we have states with params
-  let hasStates = false;
-  for (let i = 0; i < 5; i++) {
-    if (animationSystem.states[i].params && Object.keys(animationSystem.states[i].params).length > 0) {
-      hasStates = true;
+function applyBlendMode(mode) {
+  switch(mode) {
+    case 'additive':
+      particles.material.blending = THREE.AdditiveBlending;
       break;
-    }
+    case 'screen':
+      particles.material.blending = THREE.CustomBlending;
+      particles.material.blendEquation = THREE.AddEquation;
+      particles.material.blendSrc = THREE.OneFactor;
+      particles.material.blendDst = THREE.OneFactor;
+      break;
+    case 'normal':
+      particles.material.blending = THREE.NormalBlending;
+      break;
+    default: // premultiplied
+      particles.material.blending = THREE.CustomBlending;
+      particles.material.blendEquation = THREE.AddEquation;
+      particles.material.blendSrc = THREE.OneFactor;
+      particles.material.blendDst = THREE.OneMinusSrcAlphaFactor;
   }
-  
-  if (!hasStates) {
-    alert('Please store parameters in states before playing animation');
+  particles.material.needsUpdate = true;
+}
+
+// Start animation playback
+function startAnimation() {
+  // Check if we have keyframes with params
+  if (!hasKeyframeParams(animationSystem.states)) {
+    alert('Please store parameters in keyframes before playing animation');
     return;
   }
   
-  // Start from state 0
-  if (animationSystem.states[0].params && Object.keys(animationSystem.states[0].params).length > 0) {
-    loadAnimationState(0);
+  // Start from keyframe 0, or from the selected keyframe when the playback asks for it
+  const start = animationSystem.playback.fromCurrent ? animationSystem.currentState : 0;
+  if (animationSystem.states[start].params && Object.keys(animationSystem.states[start].params).length > 0) {
+    loadAnimationState(start);
   }
   
   animationSystem.isPlaying = true;
-  animationSystem.playStartTime = performance.now() / 1000;
-  animationSystem.currentPlayTime = 0;
-  console.log('Animation started');
+  animationSystem.currentPlayTime = keyframeTime(animationSystem.states, start);
+  animationSystem.direction = 1;
+  console.log(`Animation started (${animationSystem.playback.mode}, ${animationSystem.playback.speed}×)`);
 }
 
 // Stop animation playback and return to state 0
@@ -1637,86 +1774,79 @@ function stopAnimation() {
   }
   
   // Update progress display to 0
-  const progressControl = gui.controllers.find(c => c.property === 'progress');
-  if (progressControl) {
-    progressControl.object.progress = 0;
-  }
+  setProgressDisplay(0);
   
   console.log('Animation stopped - returned to state 0');
 }
 
-// Update animation (call this in render loop)
-function updateAnimation() {
+// Update animation (call this in render loop with the clamped frame delta)
+function updateAnimation(deltaTime) {
   if (!animationSystem.isPlaying) return;
   
-  const currentTime = performance.now() / 1000;
-  const elapsed = currentTime - animationSystem.playStartTime;
+  const { time, direction, finished } = advancePlayhead(animationSystem.states, animationSystem.playback,
+    animationSystem.currentPlayTime, animationSystem.direction, deltaTime);
   
   // Calculate total duration
-  let totalDuration = 0;
-  for (let i = 1; i < 5; i++) {
-    totalDuration += animationSystem.states[i].duration;
-  }
-  
-  // Check if animation is complete
-  if (elapsed >= totalDuration) {
-    // Animation complete - stop and stay at state 4
+  const totalDuration = timelineDuration(animationSystem.states);
+  const last = animationSystem.states.length - 1;
+
+  // Check if animation is complete (only 'once' playback ends)
+  if (finished) {
+    // Animation complete - stop and stay at the last keyframe
     animationSystem.isPlaying = false;
     animationSystem.currentPlayTime = totalDuration;
-    
-    // Load final state
-    if (animationSystem.states[4].params && Object.keys(animationSystem.states[4].params).length > 0) {
-      loadAnimationState(4);
+
+    // Load final keyframe
+    if (animationSystem.states[last].params && Object.keys(animationSystem.states[last].params).length > 0) {
+      loadAnimationState(last);
     }
     
     // Update progress display to 100%
-    const progressControl = gui.controllers.find(c => c.property === 'progress');
-    if (progressControl) {
-      progressControl.object.progress = 1;
-    }
+    setProgressDisplay(1);
     
     console.log('Animation complete');
     return;
   }
   
-  animationSystem.currentPlayTime = elapsed;
-  
-  // Find which states we're between
-  let accumulatedTime = 0;
-  let fromState = 0;
-  let toState = 1;
-  let stateProgress = 0;
+  animationSystem.currentPlayTime = time;
+  animationSystem.direction = direction;
   
-  for (let i = 1; i < 5; i++) {
-    const stateDuration = animationSystem.states[i].duration;
-    
-    if (animationSystem.currentPlayTime < accumulatedTime + stateDuration) {
-      fromState = i - 1;
-      toState = i;
-      stateProgress = (animationSystem.currentPlayTime - accumulatedTime) / stateDuration;
-      break;
-    }
-    
-    accumulatedTime += stateDuration;
-    
-    // If we're past state 3, interpolate from 3 to 4
-    if (i === 4 && animationSystem.currentPlayTime >= accumulatedTime) {
-      fromState = 3;
-      toState = 4;
-      stateProgress = 1;
-    }
-  }
-  
-  // Interpolate between states
-  interpolateStates(fromState, toState, stateProgress);
+  // Find which keyframes we're between
+  const { from, to, t } = locateTime(animationSystem.states, animationSystem.currentPlayTime);
+
+  // Interpolate between keyframes
+  interpolateStates(from, to, t);
   
   // Update progress display
-  const progressControl = gui.controllers.find(c => c.property === 'progress');
+  setProgressDisplay(animationSystem.currentPlayTime / totalDuration);
+}
+
+function setProgressDisplay(progress) {
+  const progressControl = gui.controllersRecursive().find(c => c.property === 'progress');
   if (progressControl) {
-    progressControl.object.progress = animationSystem.currentPlayTime / totalDuration;
+    progressControl.object.progress = progress;
   }
 }
 
+// Show the animation at `time` seconds without playing (timeline playhead / progress slider)
+function scrubAnimation(time) {
+  if (!hasKeyframeParams(animationSystem.states)) return;
+  const totalDuration = timelineDuration(animationSystem.states);
+  animationSystem.isPlaying = false;
+  animationSystem.currentPlayTime = Math.max(0, Math.min(time, totalDuration));
+  
+  const { from, to, t } = locateTime(animationSystem.states, animationSystem.currentPlayTime);
+  interpolateStates(from, to, t);
+  setProgressDisplay(totalDuration > 0 ? animationSystem.currentPlayTime / totalDuration : 0);
+}
+
+// Dock or undock the timeline panel; the canvas gives up the panel's height while docked
+function setTimelineDocked(docked) {
+  timelinePanel.visible = docked;
+  document.body.classList.toggle('timeline-docked', docked);
+  if (renderer) onResize();
+}
+
 // Interpolate between two states
 function interpolateStates(fromIndex, toIndex, t) {
   const from = animationSystem.states[fromIndex].params;
@@ -1724,39 +1854,38 @@ function interpolateStates(fromIndex, toIndex, t) {
   
   if (!from || !to || Object.keys(from).length === 0 || Object.keys(to).length === 0) return;
   
-  // Use smoothstep for smoother transitions
-  const smoothT = t * t * (3 - 2 * t);
-  
-  // Only animate specific parameters - NO SIZE PARAMETERS
-  const animatableParams = [
-    'movePercentage',           // Target %
-    'visiblePercentage',        // Visibility %
-    'turbulence1Amount',
-    'turbulence1Speed',
-    'turbulence1Scale',
-    'turbulence1Evolution',
-    'turbulence2Amount',
-    'turbulence2Speed',
-    'turbulence2Scale',
-    'turbulence2Evolution'
-  ];
-  
-  // Store non-animatable params from state 0 to preserve them
-  const preservedParams = ['particleSizeMin', 'particleSizeMax', 'particleSizeTarget', 
-                          'softness', 'edgeFade', 'fadeSpeedMin', 'fadeSpeedMax',
-                          'moveSpeedMin', 'moveSpeedMax', 'orderingMode', 'orderingScale',
-                          'backgroundColor', 'blendMode', 'showFrame'];
-  
-  // Interpolate only animatable parameters
-  for (const key of animatableParams) {
-    if (from.hasOwnProperty(key) && to.hasOwnProperty(key) && 
-        typeof from[key] === 'number' && typeof to[key] === 'number') {
-      params[key] = from[key] + (to[key] - from[key]) * smoothT;
+  // Easing (and per-parameter tracks) come from the keyframe the segment leads into
+  const keyframe = animationSystem.states[toIndex];
+  
+  const switched = segmentSwitched(keyframe, t);
+  const changed = [];
+  
+  for (const key in params) {
+    if (!from.hasOwnProperty(key) || !to.hasOwnProperty(key)) continue;
+    
+    let value;
+    if (ANIMATABLE_PARAMS.includes(key) && typeof from[key] === typeof params[key] && typeof to[key] === typeof params[key]) {
+      const progress = segmentProgress(keyframe, key, t);
+      value = COLOR_PARAMS.includes(key)
+        ? interpolateColor(from[key], to[key], progress)
+        : from[key] + (to[key] - from[key]) * progress;
+    } else {
+      // Discrete params (and mismatched types) jump at the switch point
+      value = switched ? to[key] : from[key];
+      if (value && typeof value === 'object') {
+        if (JSON.stringify(value) === JSON.stringify(params[key])) continue;
+        value = JSON.parse(JSON.stringify(value));
+      }
+    }
+    
+    if (value !== params[key]) {
+      params[key] = value;
+      changed.push(key);
     }
   }
   
   // Apply interpolated params
-  applyAnimatableParams();
+  applyAnimatableParams(changed);
 }
 
 // Interpolate between two hex colors
@@ -1772,9 +1901,11 @@ function interpolateColor(color1, color2, t) {
   const g2 = (c2 >> 8) & 0xff;
   const b2 = c2 & 0xff;
   
-  const r = Math.round(r1 + (r2 - r1) * t);
-  const g = Math.round(g1 + (g2 - g1) * t);
-  const b = Math.round(b1 + (b2 - b1) * t);
+  // Clamped, since overshooting easings (back, elastic) take t past 0..1
+  const mix = (from, to) => Math.max(0, Math.min(255, Math.round(from + (to - from) * t)));
+  const r = mix(r1, r2);
+  const g = mix(g1, g2);
+  const b = mix(b1, b2);
   
   return '#' + ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0');
 }
@@ -1782,10 +1913,7 @@ function interpolateColor(color1, color2, t) {
 // Save animation to file
 let saveAttempted = false;
 async function saveAnimation(forceDownload = false) {
-  const animData = {
-    states: animationSystem.states,
-    version: 1
-  };
+  const animData = serializeAnimation(animationSystem.states, animationSystem.playback);
   
   const json = JSON.stringify(animData, null, 2);
   
@@ -1828,20 +1956,38 @@ async function saveAnimation(forceDownload = false) {
   }
 }
 
+// Bring configs saved by older versions up to date (frame timings, single fill pattern)
+function migrateConfig(config) {
+  return migrateFillSettings(migrateFrameParams(config, LEGACY_FRAME_PARAMS));
+}
+
+// Keyframes of an anim.json of any version, with every keyframe's params brought up to date
+function readAnimation(animData) {
+  const keyframes = parseAnimation(animData);
+  for (const keyframe of keyframes) migrateConfig(keyframe.params);
+  return { keyframes, playback: parsePlayback(animData) };
+}
+
+// Swap in a loaded timeline and show its first keyframe
+function setAnimation({ keyframes, playback }) {
+  animationSystem.states = keyframes;
+  animationSystem.playback = playback;
+  animationSystem.currentState = 0;
+  if (keyframes[0].params && Object.keys(keyframes[0].params).length > 0) {
+    loadAnimationState(0);
+  } else {
+    buildKeyframeControls();
+  }
+}
+
 // Load animation from file
 async function loadAnimationFile() {
   // First try localStorage
   const stored = localStorage.getItem('particleAnimation');
   if (stored) {
     try {
-      const animData = JSON.parse(stored);
-      animationSystem.states = animData.states;
+      setAnimation(readAnimation(JSON.parse(stored)));
       console.log('Animation loaded from localStorage');
-      
-      // Load first state
-      if (animationSystem.states[0].params && Object.keys(animationSystem.states[0].params).length > 0) {
-        loadAnimationState(0);
-      }
       return;
     } catch (e) {
       console.error('Failed to parse stored animation:', e);
@@ -1852,14 +1998,8 @@ async function loadAnimationFile() {
   try {
     const response = await fetch('./anim.json');
     if (response.ok) {
-      const animData = await response.json();
-      animationSystem.states = animData.states;
+      setAnimation(readAnimation(await response.json()));
       console.log('Animation loaded from anim.json');
-      
-      // Load first state
-      if (animationSystem.states[0].params && Object.keys(animationSystem.states[0].params).length > 0) {
-        loadAnimationState(0);
-      }
     }
   } catch (e) {
     console.log('No animation file found');
@@ -1876,23 +2016,12 @@ function loadAnimationFromFile() {
     if (file) {
       const text = await file.text();
       try {
-        const animData = JSON.parse(text);
-        if (animData.states && Array.isArray(animData.states)) {
-          animationSystem.states = animData.states;
-          console.log('Animation loaded from file:', file.name);
-
-          // Load first state if it exists
-          if (animationSystem.states[0] && animationSystem.states[0].params &&
-              Object.keys(animationSystem.states[0].params).length > 0) {
-            loadAnimationState(0);
-          }
-
-          // Update GUI to reflect loaded states
-          if (gui) {
-            gui.controllersRecursive().forEach(c => c.updateDisplay());
-          }
-        } else {
-          throw new Error('Invalid animation file format');
+        setAnimation(readAnimation(JSON.parse(text)));
+        console.log('Animation loaded from file:', file.name);
+
+        // Update GUI to reflect loaded keyframes
+        if (gui) {
+          gui.controllersRecursive().forEach(c => c.updateDisplay());
         }
       } catch (err) {
         console.error('Failed to load animation file:', err);
@@ -1903,190 +2032,33 @@ function loadAnimationFromFile() {
   input.click();
 }
 
+// Re-rank particles after any fill pattern change and re-apply both thresholds
+function reorderParticles() {
+  updateParticleOrdering(particles.geometry, window.particleData);
+  updateMovementTargets(particles.geometry);
+  updateParticleTargets(particles.geometry);
+}
+
+// (Re)build a channel's pattern option controls for its current fill pattern's schema
+function buildFillPatternControls(channel) {
+  const folder = fillPatternFolders[channel];
+  if (!folder) return;
+  fillPatternControllers[channel].forEach(c => c.destroy());
+  fillPatternControllers[channel] = addFillPatternControls(folder, params[`${channel}Pattern`], params[`${channel}Params`], reorderParticles, {
+    element: canvas,
+    imgAspect: () => uniforms.uImgAspect.value
+  });
+}
+
 // Update particle ordering when mode or scale changes
 function updateParticleOrdering(geometry, data) {
   if (!data || !data.uvs) return;
   
-  const count = geometry.attributes.aParticleOrderVisibility.count;
-  const particleOrderVisibility = geometry.attributes.aParticleOrderVisibility.array;
-  const particleOrderMovement = geometry.attributes.aParticleOrderMovement.array;
-  const uvs = data.uvs;
-  const indices = Array.from({ length: count }, (_, i) => i);
-  
-  // Seeded random function
-  const seedRandom = (seed) => {
-    let x = Math.sin(seed) * 10000;
-    return x - Math.floor(x);
-  };
-  
-  // Function to calculate order value based on UV position
-  const getOrderValue = (u, v, mode, scale) => {
-    const x = (u - 0.5) * 2.0; // Convert to -1 to 1
-    const y = (v - 0.5) * 2.0;
-    
-    switch(mode) {
-      case 'radial':
-        // Distance from center, creating concentric circles
-        return Math.sqrt(x * x + y * y) * scale;
-        
-      case 'spiral':
-        // Spiral pattern from center
-        const angle = Math.atan2(y, x);
-        const dist = Math.sqrt(x * x + y * y);
-        return (dist * scale + (angle + Math.PI) / (2 * Math.PI)) % 1;
-        
-      case 'grid':
-        // Grid-based zones
-        const gridSize = Math.floor(5 * scale);
-        const gx = Math.floor((u * gridSize));
-        const gy = Math.floor((v * gridSize));
-        // Add small random offset within grid cell for variety
-        return (gy * gridSize + gx + seedRandom(gx * 17.23 + gy * 31.17) * 0.1) / (gridSize * gridSize);
-        
-      case 'horizontal':
-        // Left to right waves
-        return (u + Math.sin(v * Math.PI * 2 * scale) * 0.1);
-        
-      case 'vertical':
-        // Top to bottom waves
-        return (v + Math.sin(u * Math.PI * 2 * scale) * 0.1);
-        
-      case 'islands':
-        // Voronoi-based organic blob zones with very heavy distortion
-        const numCells = Math.floor(4 + 4 * scale); // 4-8 cells
-        const cells = [];
-        
-        // Generate Voronoi cell centers
-        for (let i = 0; i < numCells; i++) {
-          cells.push({
-            x: (seedRandom(i * 23.45) - 0.5) * 2,
-            y: (seedRandom(i * 34.56 + 100) - 0.5) * 2,
-            // Random fill priority - NOT based on position
-            priority: seedRandom(i * 789.01)
-          });
-        }
-        
-        // Sort cells by priority so they fill in random order
-        cells.sort((a, b) => a.priority - b.priority);
-        
-        // Create smooth noise function for organic distortion
-        const smoothNoise = (px, py, seed) => {
-          const ix = Math.floor(px);
-          const iy = Math.floor(py);
-          const fx = px - ix;
-          const fy = py - iy;
-          
-          // Smooth interpolation curves
-          const sx = fx * fx * (3 - 2 * fx);
-          const sy = fy * fy * (3 - 2 * fy);
-          
-          const n00 = seedRandom(ix * 12.9898 + iy * 78.233 + seed);
-          const n10 = seedRandom((ix + 1) * 12.9898 + iy * 78.233 + seed);
-          const n01 = seedRandom(ix * 12.9898 + (iy + 1) * 78.233 + seed);
-          const n11 = seedRandom((ix + 1) * 12.9898 + (iy + 1) * 78.233 + seed);
-          
-          const nx0 = n00 * (1 - sx) + n10 * sx;
-          const nx1 = n01 * (1 - sx) + n11 * sx;
-          
-          return nx0 * (1 - sy) + nx1 * sy;
-        };
-        
-        // Multi-scale smooth noise for very organic distortion
-        const distortionAmount = 0.8; // Much stronger distortion
-        
-        // Multiple octaves of smooth noise at different scales
-        const noise1 = smoothNoise(u * 5, v * 5, 123.45) - 0.5;
-        const noise2 = smoothNoise(u * 10, v * 10, 234.56) - 0.5;
-        const noise3 = smoothNoise(u * 20, v * 20, 345.67) - 0.5;
-        const noise4 = smoothNoise(u * 40, v * 40, 456.78) - 0.5;
-        
-        // Combine noise octaves with decreasing amplitude
-        const noiseX = noise1 * 0.5 + noise2 * 0.25 + noise3 * 0.125 + noise4 * 0.0625;
-        const noiseY = smoothNoise(u * 5, v * 5, 567.89) * 0.5 - 0.25 +
-                       smoothNoise(u * 10, v * 10, 678.90) * 0.25 - 0.125 +
-                       smoothNoise(u * 20, v * 20, 789.01) * 0.125 - 0.0625;
-        
-        // Apply heavy distortion to break up angular edges
-        const distortedX = x + noiseX * distortionAmount;
-        const distortedY = y + noiseY * distortionAmount;
-        
-        // Find closest cell using heavily distorted position
-        let closestCell = 0;
-        let minDist = 999;
-        let secondMinDist = 999;
-        
-        for (let i = 0; i < numCells; i++) {
-          const dx = distortedX - cells[i].x;
-          const dy = distortedY - cells[i].y;
-          
-          // Add additional radial noise distortion per cell
-          const angle = Math.atan2(dy, dx);
-          const radialNoise = smoothNoise(angle * 2, i * 10, i * 123.45) * 0.4;
-          
-          const dist = Math.sqrt(dx * dx + dy * dy) * (1.0 + radialNoise);
-          
-          if (dist < minDist) {
-            secondMinDist = minDist;
-            minDist = dist;
-            closestCell = i;
-          } else if (dist < secondMinDist) {
-            secondMinDist = dist;
-          }
-        }
-        
-        // Final order: cell index determines fill order
-        const cellOrder = closestCell / numCells;
-        
-        // Within each cell, add smooth organic variation
-        const withinCellNoise = smoothNoise(u * 30, v * 30, closestCell * 100) * 0.08;
-        
-        return cellOrder + withinCellNoise;
-        
-      case 'random':
-      default:
-        // Original random ordering
-        return seedRandom(u * 12.9898 + v * 78.233);
-    }
-  };
-  
-  // For 'random' mode, use different seeds for visibility and movement
-  if (params.orderingMode === 'random') {
-    // Sort indices for VISIBILITY order
-    const indicesVis = [...indices];
-    indicesVis.sort((a, b) => {
-      const orderA = seedRandom(uvs[a * 2] * 12.9898 + uvs[a * 2 + 1] * 78.233 + 1000);
-      const orderB = seedRandom(uvs[b * 2] * 12.9898 + uvs[b * 2 + 1] * 78.233 + 1000);
-      return orderA - orderB;
-    });
-    
-    // Sort indices for MOVEMENT order (different seed)
-    const indicesMove = [...indices];
-    indicesMove.sort((a, b) => {
-      const orderA = seedRandom(uvs[a * 2] * 45.678 + uvs[a * 2 + 1] * 123.456 + 2000);
-      const orderB = seedRandom(uvs[b * 2] * 45.678 + uvs[b * 2 + 1] * 123.456 + 2000);
-      return orderA - orderB;
-    });
-    
-    // Store both orders
-    for (let i = 0; i < count; i++) {
-      particleOrderVisibility[indicesVis[i]] = i / count;
-      particleOrderMovement[indicesMove[i]] = i / count;
-    }
-  } else {
-    // For other modes, use the same order for both (based on pattern)
-    indices.sort((a, b) => {
-      const orderA = getOrderValue(uvs[a * 2], uvs[a * 2 + 1], params.orderingMode, params.orderingScale);
-      const orderB = getOrderValue(uvs[b * 2], uvs[b * 2 + 1], params.orderingMode, params.orderingScale);
-      return orderA - orderB;
-    });
-    
-    // Use same order for both visibility and movement
-    for (let i = 0; i < count; i++) {
-      particleOrderVisibility[indices[i]] = i / count;
-      particleOrderMovement[indices[i]] = i / count;
-    }
-  }
+  geometry.attributes.aParticleOrderVisibility.array.set(computeChannelOrder(data, params, 'visibility'));
+  geometry.attributes.aParticleOrderMovement.array.set(computeChannelOrder(data, params, 'movement'));
   
   geometry.attributes.aParticleOrderVisibility.needsUpdate = true;
   geometry.attributes.aParticleOrderMovement.needsUpdate = true;
+  geometry.userData.fadeTrack.reorder(stateTime);
+  geometry.userData.moveTrack.reorder(stateTime);
 }
\ No newline at end of file
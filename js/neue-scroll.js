@@ -1,6 +1,15 @@
 // neue-gui.js — With lil-gui controls and JSON config
 import * as THREE from 'three';
 import GUI from 'https://cdn.jsdelivr.net/npm/lil-gui@0.19/+esm';
+import { loadCellsBin, fallbackCells } from './cells-bin.js';
+import { resampleCells } from './cells-sampling.js';
+import { matchSequences } from './sequence-matching.js';
+import { PARTICLE_STATE_GLSL, DRAG_STATE_GLSL, createStateArray, createStateTrack, createDragFilter } from './particle-state.js';
+import { ease, easingIndex, damp, createFrameClock } from './timing.js';
+import { FILL_CHANNELS, computeChannelOrder, pointerToUV } from './fill-patterns.js';
+import { SCROLL_CHOREOGRAPHY, parseChoreography, evaluateChoreography } from './scroll-choreography.js';
+import { createSectionTracker } from './section-tracker.js';
+import { detectCapabilityTier, showStaticSections, STATIC_SECTION_IMAGES } from './capability-tier.js';
 
 const SEQUENCE_URLS = [
   './public/seq/step1.bin',
@@ -23,7 +32,23 @@ const params = {
   particleSizeMin: 0.01, // Random size min
   particleSizeMax: 0.09, // Random size max
   particleSizeTarget: 0.02, // Fixed size at target
+  depthScale: 1.0, // Multiplier for per-cell z depth (CEL2 files)
+  samplingMode: 'grid', // 'grid' | 'importance' | 'poisson' | 'stipple' - resample each sequence on load
+  particleBudget: 12000, // Exact particle count per sequence for non-grid sampling
+  morphMatching: 'greedy', // 'greedy' | 'spatial' | 'none' - pair particles between steps by distance
+  morphMatchReach: 0.1, // Greedy search radius (uv units) before falling back to the spatial pairing
   movePercentage: 1.0, // 0-1, percentage of particles that should move to target (start with step2 visible)
+  // Fill order, separately for visibility and movement (patterns live in fill-patterns.js)
+  visibilityPattern: 'random',
+  visibilityScale: 1.0, // Scale of the visibility pattern
+  visibilitySeed: 0, // 0 gives the original orders; other seeds reshuffle the seeded patterns
+  visibilityDirection: 'forward', // 'forward' | 'reverse'
+  visibilityParams: {}, // Options of the visibility pattern; schema defaults fill the gaps
+  movementPattern: 'random',
+  movementScale: 1.0,
+  movementSeed: 0,
+  movementDirection: 'forward',
+  movementParams: {},
   sequenceIndex: 0, // 0-4, which sequence step to target (start with step2)
   turbulence1Amount: 3.23,
   turbulence1Speed: 0.6,
@@ -36,13 +61,15 @@ const params = {
   softness: 0.2, // 0 = very soft, 1 = hard edge
   edgeFade: 0.3, // Controls fade range
   visiblePercentage: 1.0, // 0-1, percentage of particles that should be visible
-  fadeSpeedMin: 20, // Min frames to fade (30 = 0.5 sec at 60fps)
-  fadeSpeedMax: 30, // Max frames to fade (90 = 1.5 sec at 60fps)
-  moveSpeedMin: 45, // Min frames to reach target position
-  moveSpeedMax: 90, // Max frames to reach target position
+  fadeTimeMin: 0.33, // Min seconds to fade
+  fadeTimeMax: 0.5, // Max seconds to fade
+  fadeEasing: 'smoothstep', // One of EASING_NAMES (timing.js)
+  moveTimeMin: 0.75, // Min seconds to reach target position
+  moveTimeMax: 1.5, // Max seconds to reach target position
+  moveEasing: 'smoothstep', // One of EASING_NAMES (timing.js)
   dragAmount: 0.05, // Amount of drag applied to particles
-  dragSpeedMin: 30, // Min frames for drag catchup
-  dragSpeedMax: 120, // Max frames for drag catchup
+  dragTimeMin: 0.5, // Min seconds for drag catchup (time constant)
+  dragTimeMax: 2.0, // Max seconds for drag catchup
   backgroundColor: '#0a0a0a',
   blendMode: 'additive',
   depthWrite: false,
@@ -54,6 +81,8 @@ const params = {
   cameraOffsetZ: 6.0,
   cameraFOV: 70,
   scrollMultiplier: 0.01, // Scroll multiplier
+  scrollSnap: false, // Snap scrolling to section centres (window.fenton.setScrollSnap)
+  navigationDuration: 1.5, // Seconds window.fenton.goTo() takes to scroll to a section
 
   // Texture plane controls
   textureScale: 1.11, // Scale of texture within plane
@@ -61,9 +90,9 @@ const params = {
   textureOffsetY: -0.055, // Y offset of texture
 
   // Fade timing parameters
-  holdFrames: 70, // Frames to hold particles at target before fading
-  fadeFrames: 10, // Frames for fade in/out transitions
-  scrollDamping: 0.11,
+  holdTime: 1.17, // Seconds to hold particles at target before fading
+  crossfadeTime: 0.17, // Seconds for the particle/texture crossfade
+  scrollSmoothTime: 0.14, // Camera smoothing time constant in seconds
 
   // Section Y offsets
   section1_offset: 0.0, // Y offset for section 1 (step1)
@@ -72,6 +101,21 @@ const params = {
   section4_offset: -7.2, // Y offset for section 4 (step4)
   section5_offset: -10.8, // Y offset for section 5 (step5)
 
+  // Section colour modes: 'original' (baked RGB), 'white', 'tinted' (luma x tint) or 'gradient'
+  section1_colorMode: 'white',
+  section2_colorMode: 'white',
+  section3_colorMode: 'white',
+  section4_colorMode: 'white',
+  section5_colorMode: 'original',
+  section1_tint: '#ffffff',
+  section2_tint: '#ffffff',
+  section3_tint: '#ffffff',
+  section4_tint: '#ffffff',
+  section5_tint: '#ffffff',
+  colorGradientDark: '#1b2a6b', // Gradient map colour at luma 0
+  colorGradientLight: '#ffffff', // Gradient map colour at luma 255
+  colorFadeTime: 0.75, // Seconds to blend particle colours after a sequence switch
+
   // Turbulent particles
   turbulentParticleCount: 400 // Number of always-turbulent particles
 };
@@ -80,8 +124,22 @@ let renderer, scene, camera, particles, turbulentParticles, uniforms, turbulentU
 let texturePlanes = [];
 let debugInfo;
 let fadeTimer = 0; // Timer for delay before texture fade in
-let startupTimer = 0; // Timer for startup sequence
+let colorFadeProgress = 1; // 0-1 blend from aInstanceColor to aTargetColor
+let lastPointerUV = null; // Last pointer position in cell uv, for the 'pointer-distance' fill pattern
+let stateTime = 0; // Seconds on the particle state clock (uStateTime)
+const dragFilter = createDragFilter(); // Camera Y lag for the sequence particles
+const turbulentDragFilter = createDragFilter(); // Turbulent particles follow the camera exactly
+let startupTimer = 0; // Seconds since the startup sequence began
 let startupPhase = 0; // 0: waiting 4s, 1: dispersed, 2: done
+
+// Startup choreography, in seconds from page load
+const STARTUP = {
+  disperseAt: 4.0, // Particles disperse and turbulent particles start fading up
+  turbulentFadeTime: 2.0,
+  videoFadeAt: 4.17, // Background video starts fading shortly after the particles show
+  videoFadeTime: 0.07,
+  regroupAt: 6.0 // Particles move to sequence 1
+};
 let turbulentOpacity = 0.0; // Opacity for turbulent particles
 let videoFadeStarted = false; // Track if video fade has started
 
@@ -90,6 +148,7 @@ let sequenceData = []; // Array to store all loaded .bin data
 let maxParticleCount = 0; // Max particles across all sequences
 
 // Scroll tracking variables
+let tier = null; // Capability tier (capability-tier.js), detected first thing in init()
 let scrollY = 0;
 let targetCameraY = 0;
 let currentCameraY = 0;
@@ -102,6 +161,25 @@ init().catch(err => {
 async function init() {
   // Config loading removed - using init params in code
 
+  tier = await detectCapabilityTier();
+  console.log(`Capability tier: ${tier.name}${tier.reasons.length ? ` (${tier.reasons.join(', ')})` : ''}`);
+  if (!tier.motion && bgVideo) {
+    // No autoplaying logo intro
+    bgVideo.pause();
+    bgVideo.style.display = 'none';
+  }
+  if (!tier.webgl) {
+    // Each section shows the image of the sequence it would form
+    showStaticSections(
+      scrollChoreography.sections.map(section => document.querySelector(section.selector)),
+      scrollChoreography.sections.map(section => STATIC_SECTION_IMAGES[section.sequence])
+    );
+    return;
+  }
+  if (!tier.turbulence) {
+    params.turbulence1Amount = 0;
+    params.turbulence2Amount = 0;
+  }
 
   // Renderer / Camera / Scene
   renderer = new THREE.WebGLRenderer({
@@ -110,7 +188,7 @@ async function init() {
     alpha: true,
     powerPreference: 'high-performance'
   });
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.maxPixelRatio));
   renderer.setSize(window.innerWidth, window.innerHeight, false);
   renderer.setClearColor(0x000000, 0); // Transparent background
 
@@ -122,11 +200,22 @@ async function init() {
   // Expose for DevTools
   Object.assign(window, { scene, camera, renderer, bgVideo });
 
+  // Reduced motion: no sequences, particles or intro; the section images fade in and out instead
+  if (!tier.motion) {
+    await initSectionImages();
+    return;
+  }
+
   // Load all sequence files
   try {
     console.log('Loading sequence files...');
     for (let i = 0; i < SEQUENCE_URLS.length; i++) {
-      const data = await loadCellsBin(SEQUENCE_URLS[i]);
+      // Same budget for every step means no padding duplicates in createInterpolatedSequenceData
+      const data = resampleCells(await loadCellsBin(SEQUENCE_URLS[i]), {
+        mode: params.samplingMode,
+        budget: params.particleBudget,
+        seed: i + 1
+      });
       sequenceData[i] = data;
       maxParticleCount = Math.max(maxParticleCount, data.count);
       console.log(`Loaded ${SEQUENCE_URLS[i]}: ${data.count} particles`);
@@ -149,8 +238,17 @@ async function init() {
   }
 
   // Create interpolated sequence data so every particle has a position in every sequence
+  // (the low-power tier caps the particle count here)
+  maxParticleCount = Math.min(maxParticleCount, tier.particleCap);
   const interpolatedSequences = createInterpolatedSequenceData(sequenceData, maxParticleCount);
 
+  // Reorder each step so particle i travels a short way from step n to step n+1
+  matchSequences(interpolatedSequences, {
+    method: params.morphMatching,
+    aspect: maxWCells / maxHCells,
+    reach: params.morphMatchReach
+  });
+
   // Replace original sequence data with interpolated data
   sequenceData = interpolatedSequences;
 
@@ -164,7 +262,7 @@ async function init() {
   scene.add(particles);
 
   // Create turbulent particles
-  turbulentParticles = makeTurbulentParticles(params.turbulentParticleCount);
+  turbulentParticles = makeTurbulentParticles(Math.min(params.turbulentParticleCount, tier.particleCap));
   scene.add(turbulentParticles);
 
   // Store particle data for re-ordering
@@ -205,7 +303,7 @@ async function init() {
   // All sequences now have the same particle count, so no need for special switching
 
   // Initialize particle visibility and movement
-  updateParticleTargets(particles.geometry);
+  updateParticleTargets(particles.geometry, 0.0);
   updateMovementTargets(particles.geometry);
 
   // Expose for DevTools
@@ -221,12 +319,10 @@ async function init() {
   await createTexturePlanes();
 
   // Animate
-  clock = new THREE.Clock();
-  let lastTime = 0;
+  clock = createFrameClock();
   renderer.setAnimationLoop(() => {
-    const currentTime = clock.getElapsedTime();
-    const deltaTime = currentTime - lastTime;
-    lastTime = currentTime;
+    const deltaTime = clock.tick();
+    const currentTime = clock.elapsed;
 
     uniforms.uTime.value = currentTime;
     uniforms.uDeltaTime.value = deltaTime;
@@ -234,8 +330,14 @@ async function init() {
     turbulentUniforms.uTime.value = currentTime;
     turbulentUniforms.uDeltaTime.value = deltaTime;
 
+    // Fade/move state is evaluated in the shaders against this clock
+    stateTime += deltaTime;
+    uniforms.uStateTime.value = stateTime;
+    turbulentUniforms.uStateTime.value = stateTime;
+
     // Update scroll-based camera movement (only after startup)
     if (startupPhase === 2) {
+      if (navigation) stepNavigation(deltaTime);
       updateScrollCamera(deltaTime);
     }
 
@@ -244,30 +346,34 @@ async function init() {
     turbulentUniforms.uCameraY.value = camera.position.y;
 
 
-    // Update particle visibility, movement, and drag
-    updateParticleVisibility(particles.geometry, deltaTime);
-    updateParticleMovement(particles.geometry, deltaTime);
-    updateParticleDrag(particles.geometry, deltaTime);
+    // Update the camera drag levels (fade and move run on the GPU)
+    dragFilter.update(camera.position.y, deltaTime, params.dragTimeMin, params.dragTimeMax);
+
+    // Blend particle colours towards the current section's colour mode
+    if (colorFadeProgress < 1) {
+      colorFadeProgress = params.colorFadeTime > 0 ? Math.min(1, colorFadeProgress + deltaTime / params.colorFadeTime) : 1;
+      uniforms.uColorMix.value = ease('smoothstep', colorFadeProgress);
+    }
 
     // Handle startup sequence
-    startupTimer += deltaTime * 60; // Increment in frames
+    startupTimer += deltaTime;
 
     // Update turbulent opacity: fade up after 4 seconds over 2 seconds
-    if (startupTimer >= 240) {
-      turbulentOpacity = Math.min((startupTimer - 240) / 120, 1.0); // 2 seconds = 120 frames
+    if (startupTimer >= STARTUP.disperseAt) {
+      turbulentOpacity = Math.min((startupTimer - STARTUP.disperseAt) / STARTUP.turbulentFadeTime, 1.0);
       turbulentUniforms.uVisiblePercentage.value = turbulentOpacity;
       // Also set individual particle target opacity to 1.0 for proper fade in
       updateParticleTargets(turbulentParticles.geometry, 1.0);
     }
 
-    // Start video fade 10 frames after particles become visible
-    if (startupTimer >= 250 && !videoFadeStarted) { // 240 + 10 = 250 frames
+    // Start video fade just after particles become visible
+    if (startupTimer >= STARTUP.videoFadeAt && !videoFadeStarted) {
       videoFadeStarted = true;
     }
 
-    // Handle video fade out over 4 frames
+    // Handle video fade out
     if (videoFadeStarted && bgVideo) {
-      const fadeProgress = Math.min((startupTimer - 250) / 4, 1.0); // 4 frame fade
+      const fadeProgress = Math.min((startupTimer - STARTUP.videoFadeAt) / STARTUP.videoFadeTime, 1.0);
       bgVideo.style.opacity = 1.0 - fadeProgress;
 
       if (fadeProgress >= 1.0) {
@@ -275,13 +381,13 @@ async function init() {
       }
     }
 
-    if (startupPhase === 0 && startupTimer >= 240) { // 4 seconds = 240 frames at 60fps
+    if (startupPhase === 0 && startupTimer >= STARTUP.disperseAt) {
       // Disperse particles
       updateParticleTargets(particles.geometry, 0.22); // 22% visible
       params.movePercentage = 0.0;
       updateMovementTargets(particles.geometry);
       startupPhase = 1;
-    } else if (startupPhase === 1 && startupTimer >= 240 + 120) { // After additional 120 frames
+    } else if (startupPhase === 1 && startupTimer >= STARTUP.regroupAt) {
       // Move to second target (sequence 1)
       params.sequenceIndex = 1;
       switchToSequence(1);
@@ -289,41 +395,36 @@ async function init() {
       updateMovementTargets(particles.geometry);
       updateParticleTargets(particles.geometry, 1.0); // All visible
       startupPhase = 2;
+      navigateToHash(); // Form the linked section if the page was opened at one
     }
 
     // Update fade timer (only after startup)
     if (startupPhase === 2) {
-      if (params.movePercentage >= 1.0) {
-        fadeTimer += deltaTime * 60; // Increment in frames
+      if (params.movePercentage >= 1.0 && scrollFormation >= 1.0) {
+        fadeTimer += deltaTime;
       } else {
         fadeTimer = 0; // Reset when not at target
       }
-
-      // Update particle visibility based on state
-      if (params.movePercentage >= 1.0) {
-        updateParticleTargets(particles.geometry, 1.0); // All particles visible when at target
-      } else {
-        updateParticleTargets(particles.geometry, 0.22); // 22% visible when dispersed
-      }
+      // Visibility follows the scroll choreography (updateScrollTransitions)
     }
 
     // Opacity control with configurable delay
     let particleOpacity, textureOpacity;
-    if (fadeTimer < params.holdFrames) {
+    if (fadeTimer < params.holdTime) {
       // Particles visible, texture invisible during delay
       particleOpacity = 1.0;
       textureOpacity = 0.0;
     } else {
-      // Fade texture in and particles out over fadeFrames
-      const fadeProgress = Math.min((fadeTimer - params.holdFrames) / params.fadeFrames, 1.0);
+      // Fade texture in and particles out over crossfadeTime
+      const fadeProgress = params.crossfadeTime > 0 ? Math.min((fadeTimer - params.holdTime) / params.crossfadeTime, 1.0) : 1.0;
       particleOpacity = 1.0 - fadeProgress;
       textureOpacity = fadeProgress;
     }
 
     // Control global particle visibility via uVisiblePercentage
-    if (fadeTimer >= params.holdFrames + params.fadeFrames) {
+    if (fadeTimer >= params.holdTime + params.crossfadeTime) {
       uniforms.uVisiblePercentage.value = 0.0; // All particles invisible
-    } else if (fadeTimer >= params.holdFrames) {
+    } else if (fadeTimer >= params.holdTime) {
       uniforms.uVisiblePercentage.value = particleOpacity; // Fade visible particles
     } else {
       uniforms.uVisiblePercentage.value = 1.0; // Full visibility for visible particles
@@ -334,155 +435,244 @@ async function init() {
       texturePlanes[params.sequenceIndex].material.opacity = textureOpacity;
     }
 
-    // Update turbulent particles (they stay at default values)
-    updateParticleVisibility(turbulentParticles.geometry, deltaTime);
-    updateParticleMovement(turbulentParticles.geometry, deltaTime);
-    updateParticleDrag(turbulentParticles.geometry, deltaTime);
+    // Update turbulent particles (no drag: a zero smoothing time snaps to the camera every frame)
+    turbulentDragFilter.update(camera.position.y, deltaTime, 0, 0);
 
     renderer.render(scene, camera);
   });
 
   // Resize
   window.addEventListener('resize', onResize);
+
+  // Remember where the pointer is so 'pointer-distance' can fill outwards from it
+  window.addEventListener('pointermove', (e) => {
+    lastPointerUV = pointerToUV(e, canvas, uniforms.uImgAspect.value);
+  }, { passive: true });
   console.log('Init complete. Particles:', initialData.count);
 }
 
+// Reduced-motion tier: the camera follows the scroll over the section images and nothing else
+// runs per frame (scroll transitions only pick the section; goTo() jumps)
+async function initSectionImages() {
+  setupScrollListener();
+  await createTexturePlanes();
+  params.sequenceIndex = 1;
+  startupPhase = 2;
+  navigateToHash();
+
+  clock = createFrameClock();
+  renderer.setAnimationLoop(() => {
+    const deltaTime = clock.tick();
+    updateScrollCamera(deltaTime);
+    fadeSectionPlanes(deltaTime);
+    renderer.render(scene, camera);
+  });
+
+  window.addEventListener('resize', onResize);
+  console.log('Init complete. Section images only.');
+}
+
 // Setup scroll listener
 function setupScrollListener() {
    const updateScroll = () => {
      scrollY = window.scrollY;
      // Inverted scroll: negative scroll value moves camera up
      targetCameraY = params.cameraOffsetY - (scrollY * 0.0086);
+   };
+
+   window.addEventListener('scroll', updateScroll, { passive: true });
+   // Don't initialize scroll here, let startup handle initial state
 
-     // Update scroll-based transitions (only after startup)
+   // Update scroll-based transitions (only after startup) whenever section progress changes
+   sectionTracker = createSectionTracker(scrollChoreography.sections.map(section => document.querySelector(section.selector)));
+   sectionTracker.on('update', () => {
      if (startupPhase === 2) {
        updateScrollTransitions();
      }
+   });
 
-   };
-
-   window.addEventListener('scroll', updateScroll, { passive: true });
-   // Don't initialize scroll here, let startup handle initial state
+   setupSectionNavigation();
 }
 
 // Scroll transition state tracking
+const scrollChoreography = parseChoreography(SCROLL_CHOREOGRAPHY); // Sections, thresholds and targets: see scroll-choreography.js
+let sectionTracker = null; // Tracks the choreography's sections, in the same order
 let currentScrollState = null;
+let scrollFormation = 1; // Scrub mode: how far the active section's move has got (0..1)
 let disperseStartTime = null; // Track when particles started dispersing
 
-// Scroll-based transition system
+// Choreography progress (0..100) from the tracker's cached geometry
+function choreographyProgress(section, index) {
+  const progress = sectionTracker.progress(index);
+  return progress === null ? null : progress * 100;
+}
+
+// Scroll-based transition system: apply the choreography entry of the active section
 function updateScrollTransitions() {
-  // Get section elements
-  const heroSection = document.getElementById('hero');
-  const section2 = document.getElementById('section-2');
-  const section3 = document.getElementById('section-3');
-  const section4 = document.getElementById('section-4');
-
-  if (!heroSection || !section2 || !section3 || !section4) {
-    console.warn('Some sections not found for scroll transitions');
+  if (navigation) return; // goTo() drives the particles until it arrives or is cancelled
+  const { state, target, formation } = evaluateChoreography(scrollChoreography, choreographyProgress);
+  if (scrollChoreography.mode === 'scrub') {
+    scrubScrollTransitions(state, target, formation);
     return;
   }
+  if (state === currentScrollState) return;
 
-  // Get section positions
-  const heroRect = heroSection.getBoundingClientRect();
-  const section2Rect = section2.getBoundingClientRect();
-  const section3Rect = section3.getBoundingClientRect();
-  const section4Rect = section4.getBoundingClientRect();
+  console.log(`Scroll state: ${currentScrollState} → ${state}`);
+  currentScrollState = state;
+  updateParticleParams(target.movePercentage, target.visiblePercentage, target.sequence);
+}
 
-  const viewportHeight = window.innerHeight;
-  const enterThreshold = viewportHeight * 0.35; // 35% down from top
-  const leaveThreshold = viewportHeight * 0.65; // 65% down from top
+// Scrub mode: the move is placed on a virtual clock at formation × the slowest move time, so
+// every particle's progress follows the scroll position and reverses with it. Visibility blends
+// from idle to the section's share with formation (the fades themselves keep their speeds).
+function scrubScrollTransitions(state, target, formation) {
+  if (state !== currentScrollState) {
+    console.log(`Scroll state: ${currentScrollState} → ${state}`);
+    currentScrollState = state;
+  }
+  scrollFormation = formation;
 
-  let newState = null;
+  const idle = scrollChoreography.idle;
+  const visible = idle.visiblePercentage + (target.visiblePercentage - idle.visiblePercentage) * formation;
+  // Idle keeps the last section's move share and sequence: its formation is 0 anyway
+  updateParticleParams(state === 'idle' ? null : target.movePercentage, visible, target.sequence);
+  if (uniforms) uniforms.uMoveScrub.value = formation * params.moveTimeMax;
+}
 
-  // Proper transition states with timing consideration
-  // Each section is 100vh, so we need:
-  // - "in-section" when section is centered in viewport
-  // - "leaving-section" when 65% past section (disperse starts)
-  // - "between-sections" when fully between (safe to switch targets)
-  // - "entering-section" when 35% into next section (form new target)
+// Section navigation: goTo() scrolls a section to the middle of its active window with scroll
+// transitions paused. Trigger mode disperses at once and switches to the section's sequence
+// late enough that the move finishes about as the scroll arrives; scrub mode unforms over the
+// first half of the scroll and forms the target over the second.
+let navigation = null;
 
-  // Calculate section scroll percentage based on journey through viewport
-  const getSectionPercent = (rect) => {
-    // 0% = section.top just touches bottom of viewport (rect.top = viewportHeight)
-    // 100% = section.bottom just touches top of viewport (rect.bottom = 0)
-    // Total journey = viewportHeight + rect.height
+function setupSectionNavigation() {
+  setScrollSnap(params.scrollSnap);
 
-    const totalJourney = viewportHeight + rect.height;
-    const traveledDistance = viewportHeight - rect.top;
-    const percent = (traveledDistance / totalJourney) * 100;
+  // Any input of the user's own takes the scroll back
+  ['wheel', 'touchstart', 'keydown'].forEach(type => {
+    window.addEventListener(type, () => {
+      if (navigation) finishNavigation(false);
+    }, { passive: true });
+  });
 
-    return Math.max(0, Math.min(100, percent));
-  };
+  // In-page links to choreography sections navigate instead of jumping
+  document.addEventListener('click', (e) => {
+    const link = e.target.closest && e.target.closest('a[href^="#"]');
+    if (!link) return;
+    const id = link.getAttribute('href').slice(1);
+    if (sectionIndexOf(id) < 0) return;
+    e.preventDefault();
+    history.pushState(null, '', `#${id}`);
+    goTo(id);
+  });
+  window.addEventListener('hashchange', navigateToHash);
+
+  window.fenton = { goTo, setScrollSnap };
+}
+
+function navigateToHash() {
+  const id = decodeURIComponent(window.location.hash.slice(1));
+  if (sectionIndexOf(id) >= 0) goTo(id);
+}
+
+// Index of the choreography section whose element has this id (-1 if none)
+function sectionIndexOf(id) {
+  return sectionTracker ? sectionTracker.elements.findIndex(element => element && element.id === id) : -1;
+}
+
+function setScrollSnap(enabled) {
+  params.scrollSnap = enabled;
+  document.documentElement.classList.toggle('scroll-snap', enabled && !navigation);
+}
+
+// Resolves true on arrival, false if cancelled by the user or another goTo()
+function goTo(sectionId, { duration = params.navigationDuration } = {}) {
+  const index = sectionIndexOf(String(sectionId).replace(/^#/, ''));
+  if (index < 0) {
+    console.warn(`goTo: no choreography section "${sectionId}"`);
+    return Promise.resolve(false);
+  }
+  if (navigation) finishNavigation(false);
+
+  const target = scrollChoreography.sections[index];
+  const to = sectionTracker.scrollForProgress(index, (target.enter + target.exit) / 200);
+  // Before the intro has finished, with no duration or for reduced motion just jump;
+  // transitions take it from there
+  if (startupPhase !== 2 || !(duration > 0) || !tier.motion) {
+    window.scrollTo(0, to);
+    return Promise.resolve(true);
+  }
+
+  const scrub = scrollChoreography.mode === 'scrub';
+  const departing = evaluateChoreography(scrollChoreography, choreographyProgress);
+  const staying = departing.state === target.selector; // Already there: just finish forming it
+  document.documentElement.classList.remove('scroll-snap'); // Snapping would fight the tween
+  if (!scrub && !staying) {
+    const idle = scrollChoreography.idle;
+    currentScrollState = 'idle';
+    updateParticleParams(idle.movePercentage, idle.visiblePercentage, null);
+  }
+
+  return new Promise(resolve => {
+    navigation = {
+      target,
+      from: window.scrollY,
+      to,
+      elapsed: 0,
+      duration,
+      scrub,
+      departing,
+      switchAt: staying ? 0 : scrub ? 0.5 : Math.max(0.5, 1 - params.moveTimeMax / duration),
+      switched: false,
+      formFrom: staying ? departing.formation : 0, // Scrub formation the target forms from
+      resolve
+    };
+  });
+}
 
-  const heroPercent = getSectionPercent(heroRect);
-  const sec2Percent = getSectionPercent(section2Rect);
-  const sec3Percent = getSectionPercent(section3Rect);
-  const sec4Percent = getSectionPercent(section4Rect);
-
-  // DEAD SIMPLE LOGIC: 40-60% window for each section
-  // If a section is 40-60%, it's THE target. Otherwise NO target (dispersed).
-
-  newState = 'dispersed'; // Default: no target
-
-  // Check each section individually - only ONE can be active
-  if (heroPercent >= 40 && heroPercent <= 60) {
-    newState = 'in-hero'; // Hero is THE target
-  } else if (sec2Percent >= 40 && sec2Percent <= 60) {
-    newState = 'in-section2'; // Section2 is THE target
-  } else if (sec3Percent >= 40 && sec3Percent <= 60) {
-    newState = 'in-section3'; // Section3 is THE target
-  } else if (sec4Percent >= 40 && sec4Percent <= 60) {
-    newState = 'in-section4'; // Section4 is THE target
+// Advance goTo() by one frame
+function stepNavigation(deltaTime) {
+  const nav = navigation;
+  nav.elapsed += deltaTime;
+  const t = Math.min(nav.elapsed / nav.duration, 1);
+  window.scrollTo(0, nav.from + (nav.to - nav.from) * ease('smoothstep', t));
+
+  if (!nav.switched && t >= nav.switchAt) {
+    nav.switched = true;
+    if (!nav.scrub) {
+      currentScrollState = nav.target.selector;
+      updateParticleParams(nav.target.movePercentage, nav.target.visiblePercentage, nav.target.sequence);
+    }
   }
-  // If no section is 40-60%, newState stays 'dispersed'
-
-  // Debug EVERY scroll event to see what's happening
-  console.log(`SCROLL DEBUG:`);
-  console.log(`  ScrollY: ${window.scrollY}`);
-  console.log(`  PERCENTAGES: Hero=${heroPercent.toFixed(1)}% Sec2=${sec2Percent.toFixed(1)}% Sec3=${sec3Percent.toFixed(1)}% Sec4=${sec4Percent.toFixed(1)}%`);
-  console.log(`  40-60% CHECK: Hero=${heroPercent >= 40 && heroPercent <= 60} Sec2=${sec2Percent >= 40 && sec2Percent <= 60} Sec3=${sec3Percent >= 40 && sec3Percent <= 60} Sec4=${sec4Percent >= 40 && sec4Percent <= 60}`);
-  console.log(`  Calculated state: ${newState}`);
-
-  // Show what target I believe should be active
-  let expectedTarget = "DISPERSED";
-  if (heroPercent >= 40 && heroPercent <= 60) expectedTarget = "STEP2 (HERO section)";
-  else if (sec2Percent >= 40 && sec2Percent <= 60) expectedTarget = "STEP3 (SECTION-2)";
-  else if (sec3Percent >= 40 && sec3Percent <= 60) expectedTarget = "STEP4 (SECTION-3)";
-  else if (sec4Percent >= 40 && sec4Percent <= 60) expectedTarget = "STEP5 (SECTION-4)";
-
-  console.log(`  EXPECTED TARGET: ${expectedTarget}`);
-  console.log(`  CURRENT SEQUENCE: ${params.sequenceIndex} (should be: ${expectedTarget.includes('STEP2') ? '1' : expectedTarget.includes('STEP3') ? '2' : expectedTarget.includes('STEP4') ? '3' : expectedTarget.includes('STEP5') ? '4' : 'no change'})`);
-
-  // Debug log state changes
-  if (newState !== currentScrollState) {
-    console.log(`*** SCROLL STATE CHANGED: ${currentScrollState} → ${newState} ***`);
-
-    currentScrollState = newState;
-
-    switch (newState) {
-      // ACTIVE TARGET STATES - particles form at this section's target
-      case 'in-hero':
-        updateParticleParams(1.0, 1.0, 1); // HERO → step2 (but step2 is index 1 in array) - NO GUARD, ALWAYS UPDATE
-        break;
-      case 'in-section2':
-        updateParticleParams(1.0, 1.0, 2); // SECTION-2 → step3 (but step3 is index 2 in array) - NO GUARD, ALWAYS UPDATE
-        break;
-      case 'in-section3':
-        updateParticleParams(1.0, 1.0, 3); // SECTION-3 → step4 (but step4 is index 3 in array) - NO GUARD, ALWAYS UPDATE
-        break;
-      case 'in-section4':
-        updateParticleParams(1.0, 1.0, 4); // SECTION-4 → step5 (but step5 is index 4 in array) - NO GUARD, ALWAYS UPDATE
-        break;
-
-      // DISPERSED STATE - no target, particles scattered
-      case 'dispersed':
-        updateParticleParams(0.0, 1.0, null); // Keep dispersed, no sequence change
-        break;
+  if (nav.scrub) {
+    if (nav.switched) {
+      const local = (t - nav.switchAt) / (1 - nav.switchAt);
+      scrubScrollTransitions(nav.target.selector, nav.target, nav.formFrom + (1 - nav.formFrom) * local);
+    } else {
+      scrubScrollTransitions(nav.departing.state, nav.departing.target, nav.departing.formation * (1 - t / nav.switchAt));
     }
   }
+
+  if (t >= 1) finishNavigation(true);
 }
 
+function finishNavigation(arrived) {
+  const { resolve } = navigation;
+  navigation = null;
+  setScrollSnap(params.scrollSnap);
+  updateScrollTransitions(); // Hand back to the scroll position (no change on arrival)
+  resolve(arrived);
+}
 
+// Reduced-motion tier: the active section's image fades in, every other one fades out
+const PLANE_FADE_TIME = 0.4; // Smoothing time constant in seconds
+
+function fadeSectionPlanes(deltaTime) {
+  const active = currentScrollState === 'idle' ? -1 : params.sequenceIndex;
+  texturePlanes.forEach((plane, index) => {
+    plane.material.opacity = damp(plane.material.opacity, index === active ? 1 : 0, PLANE_FADE_TIME, deltaTime);
+  });
+}
 
 // Helper function to update particle parameters
 function updateParticleParams(movePercentage, visiblePercentage, sequenceIndex) {
@@ -525,57 +715,17 @@ function createDebugInfo() {
 // Update debug info
 function updateDebugInfo() {
   if (debugInfo) {
-    // Get section info for debug
-    const heroSection = document.getElementById('hero');
-    const section2 = document.getElementById('section-2');
-    const section3 = document.getElementById('section-3');
-    const section4 = document.getElementById('section-4');
-
-    let sectionInfo = '';
-    if (heroSection && section2 && section3 && section4) {
-      const heroRect = heroSection.getBoundingClientRect();
-      const section2Rect = section2.getBoundingClientRect();
-      const section3Rect = section3.getBoundingClientRect();
-      const section4Rect = section4.getBoundingClientRect();
-      const viewportHeight = window.innerHeight;
-
-      // Calculate section scroll percentage based on journey through viewport
-      const getSectionPercent = (rect) => {
-        // 0% = section.top just touches bottom of viewport (rect.top = viewportHeight)
-        // 100% = section.bottom just touches top of viewport (rect.bottom = 0)
-        // Total journey = viewportHeight + rect.height
-
-        const totalJourney = viewportHeight + rect.height;
-        const traveledDistance = viewportHeight - rect.top;
-        const percent = (traveledDistance / totalJourney) * 100;
-
-        return Math.max(0, Math.min(100, percent));
-      };
-
-      const heroPercent = getSectionPercent(heroRect);
-      const sec2Percent = getSectionPercent(section2Rect);
-      const sec3Percent = getSectionPercent(section3Rect);
-      const sec4Percent = getSectionPercent(section4Rect);
-
-      // Determine which section we're primarily in
-      let currentSection = 'none';
-      if (heroRect.top >= -heroRect.height && heroRect.top <= 0) currentSection = 'HERO';
-      else if (section2Rect.top >= -section2Rect.height && section2Rect.top <= 0) currentSection = 'SECTION-2';
-      else if (section3Rect.top >= -section3Rect.height && section3Rect.top <= 0) currentSection = 'SECTION-3';
-      else if (section4Rect.top >= -section4Rect.height && section4Rect.top <= 0) currentSection = 'SECTION-4';
-
-      sectionInfo = `<br>
+    const { sections } = evaluateChoreography(scrollChoreography, choreographyProgress);
+    const rows = sections.map(({ section, progress, formation, active }) => progress !== null
+      ? `${section.selector}: ${progress.toFixed(1)}% [${section.enter}–${section.exit}] formed ${formation.toFixed(2)}${active ? ' ◀' : ''}<br>`
+      : `${section.selector}: not found<br>`
+    ).join('');
+    const sectionInfo = `<br>
         <strong>SECTION SCROLL PROGRESS:</strong><br>
-        Hero: ${heroPercent.toFixed(1)}% (top=${heroRect.top.toFixed(0)})<br>
-        Sec2: ${sec2Percent.toFixed(1)}% (top=${section2Rect.top.toFixed(0)})<br>
-        Sec3: ${sec3Percent.toFixed(1)}% (top=${section3Rect.top.toFixed(0)})<br>
-        Sec4: ${sec4Percent.toFixed(1)}% (top=${section4Rect.top.toFixed(0)})<br>
+        ${rows}
         <strong>State: ${currentScrollState || 'none'}</strong><br>
         Move%: ${params.movePercentage.toFixed(2)} Vis%: ${params.visiblePercentage.toFixed(2)} Seq: ${params.sequenceIndex}
       `;
-    } else {
-      sectionInfo = `<br>SECTIONS NOT FOUND`;
-    }
 
     debugInfo.innerHTML = `
       <strong>SCROLL DEBUG</strong><br>
@@ -746,9 +896,8 @@ async function createTexturePlanes() {
 
 // Update camera position with damping
 function updateScrollCamera(deltaTime) {
-  // Damped camera movement
-  const dampingFactor = params.scrollDamping; // Use the GUI controllable damping
-  currentCameraY += (targetCameraY - currentCameraY) * dampingFactor * deltaTime * 60; // Assuming 60fps
+  // Damped camera movement; goTo() scrolls smoothly already, so the camera follows it exactly
+  currentCameraY = navigation ? targetCameraY : damp(currentCameraY, targetCameraY, params.scrollSmoothTime, deltaTime);
 
   camera.position.y = currentCameraY;
 
@@ -777,50 +926,6 @@ function planeSizeAtZ0() {
   return new THREE.Vector2(width, height);
 }
 
-async function loadCellsBin(url) {
-  const res = await fetch(url, { cache: 'no-cache' });
-  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-  const buf = await res.arrayBuffer();
-  const dv = new DataView(buf);
-  let o = 0;
-
-  const MAGIC = dv.getUint32(o, true); o += 4;
-  if (MAGIC !== 0x43454C31) throw new Error('Bad magic in cells.bin');
-  const count = dv.getUint32(o, true); o += 4;
-  const wCells = dv.getUint16(o, true); o += 2;
-  const hCells = dv.getUint16(o, true); o += 2;
-  const block = dv.getUint16(o, true); o += 2;
-  o += 2; // flags
-
-  const uvs = new Float32Array(count * 2);
-  const colors = new Uint8Array(count * 4);
-
-  for (let i = 0; i < count; i++) {
-    uvs[i * 2 + 0] = dv.getFloat32(o, true); o += 4;
-    uvs[i * 2 + 1] = 1.0 - dv.getFloat32(o, true); o += 4; // FLIP Y HERE
-    colors[i * 4 + 0] = dv.getUint8(o++); // R
-    colors[i * 4 + 1] = dv.getUint8(o++); // G
-    colors[i * 4 + 2] = dv.getUint8(o++); // B
-    colors[i * 4 + 3] = dv.getUint8(o++); // A
-  }
-  return { count, wCells, hCells, block, uvs, colors };
-}
-
-function fallbackCells() {
-  const count = 5000, wCells = 100, hCells = 50, block = 4;
-  const uvs = new Float32Array(count * 2);
-  const colors = new Uint8Array(count * 4);
-  for (let i = 0; i < count; i++) {
-    uvs[i * 2 + 0] = Math.random();
-    uvs[i * 2 + 1] = Math.random();
-    colors[i * 4 + 0] = Math.random() * 255;
-    colors[i * 4 + 1] = Math.random() * 255;
-    colors[i * 4 + 2] = Math.random() * 255;
-    colors[i * 4 + 3] = 255;
-  }
-  return { count, wCells, hCells, block, uvs, colors };
-}
-
 function createInterpolatedSequenceData(sequenceData, maxCount) {
   // Create interpolated positions for all particles across all sequences
   const interpolatedSequences = [];
@@ -831,16 +936,31 @@ function createInterpolatedSequenceData(sequenceData, maxCount) {
 
     // Create arrays for max particle count
     const uvs = new Float32Array(maxCount * 2);
-    const colors = new Uint8Array(maxCount * 4);
-
-    // Copy original particles - make all white
-    for (let i = 0; i < originalCount; i++) {
-      uvs[i * 2] = originalUvs[i * 2];
-      uvs[i * 2 + 1] = originalUvs[i * 2 + 1];
-      colors[i * 4] = 255; // White R
-      colors[i * 4 + 1] = 255; // White G
-      colors[i * 4 + 2] = 255; // White B
-      colors[i * 4 + 3] = originalColors[i * 4 + 3]; // Keep alpha
+    const sourceColors = new Uint8Array(maxCount * 4);
+    const depths = new Float32Array(maxCount);
+    const sizes = new Float32Array(maxCount);
+    const groups = new Float32Array(maxCount);
+    const normals = new Float32Array(maxCount * 3);
+
+    // Copy the optional CEL2 channels of one source particle into slot i
+    const copyChannels = (i, src) => {
+      depths[i] = sequence.depths[src];
+      sizes[i] = sequence.sizes[src];
+      groups[i] = sequence.groups[src];
+      normals[i * 3] = sequence.normals[src * 3];
+      normals[i * 3 + 1] = sequence.normals[src * 3 + 1];
+      normals[i * 3 + 2] = sequence.normals[src * 3 + 2];
+    };
+
+    // Copy original particles (baked RGBA kept; the section colour mode is applied below).
+    // Above maxCount (a capability-tier cap) an even stride keeps the whole picture covered.
+    const keptCount = Math.min(originalCount, maxCount);
+    for (let i = 0; i < keptCount; i++) {
+      const src = keptCount < originalCount ? Math.floor((i * originalCount) / keptCount) : i;
+      uvs[i * 2] = originalUvs[src * 2];
+      uvs[i * 2 + 1] = originalUvs[src * 2 + 1];
+      sourceColors.set(originalColors.subarray(src * 4, src * 4 + 4), i * 4);
+      copyChannels(i, src);
     }
 
     // For extra particles, sample from existing white/text positions
@@ -860,31 +980,64 @@ function createInterpolatedSequenceData(sequenceData, maxCount) {
         const randomSeed = particleIndex * 123.456789;
         const sourceIndex = Math.floor(seedRandom(randomSeed) * originalCount);
 
-        // Copy position from a random existing particle (white area)
+        // Copy position and colour from a random existing particle
         uvs[particleIndex * 2] = originalUvs[sourceIndex * 2];
         uvs[particleIndex * 2 + 1] = originalUvs[sourceIndex * 2 + 1];
-
-        // Set to white
-        colors[particleIndex * 4] = 255;
-        colors[particleIndex * 4 + 1] = 255;
-        colors[particleIndex * 4 + 2] = 255;
-        colors[particleIndex * 4 + 3] = originalColors[sourceIndex * 4 + 3]; // Keep alpha
+        sourceColors.set(originalColors.subarray(sourceIndex * 4, sourceIndex * 4 + 4), particleIndex * 4);
+        copyChannels(particleIndex, sourceIndex);
       }
     }
 
     interpolatedSequences[seqIndex] = {
       count: maxCount,
-      originalCount: originalCount,
+      originalCount: keptCount,
       wCells,
       hCells,
       uvs,
-      colors
+      sourceColors,
+      colors: new Uint8Array(maxCount * 4),
+      depths,
+      sizes,
+      groups,
+      normals
     };
+    applySectionColorMode(interpolatedSequences[seqIndex], seqIndex);
   }
 
   return interpolatedSequences;
 }
 
+// Fill sequence.colors from its baked sourceColors using the section's colour mode
+function applySectionColorMode(sequence, seqIndex) {
+  const n = seqIndex + 1;
+  const mode = params[`section${n}_colorMode`] || 'white';
+  const tint = new THREE.Color(params[`section${n}_tint`] || '#ffffff');
+  const dark = new THREE.Color(params.colorGradientDark);
+  const light = new THREE.Color(params.colorGradientLight);
+  const { sourceColors, colors } = sequence;
+  const mapped = new THREE.Color();
+
+  for (let i = 0; i < sequence.count; i++) {
+    const r = sourceColors[i * 4], g = sourceColors[i * 4 + 1], b = sourceColors[i * 4 + 2];
+    const luma = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+
+    if (mode === 'original') {
+      mapped.setRGB(r / 255, g / 255, b / 255);
+    } else if (mode === 'tinted') {
+      mapped.copy(tint).multiplyScalar(luma);
+    } else if (mode === 'gradient') {
+      mapped.copy(dark).lerp(light, luma);
+    } else {
+      mapped.setRGB(1, 1, 1);
+    }
+
+    colors[i * 4] = Math.round(mapped.r * 255);
+    colors[i * 4 + 1] = Math.round(mapped.g * 255);
+    colors[i * 4 + 2] = Math.round(mapped.b * 255);
+    colors[i * 4 + 3] = sourceColors[i * 4 + 3]; // Keep alpha
+  }
+}
+
 function createParticleBuffer(maxCount, activeSequence) {
   // Simple wrapper for backward compatibility
   return {
@@ -893,11 +1046,15 @@ function createParticleBuffer(maxCount, activeSequence) {
     wCells: activeSequence.wCells,
     hCells: activeSequence.hCells,
     uvs: activeSequence.uvs,
-    colors: activeSequence.colors
+    colors: activeSequence.colors,
+    depths: activeSequence.depths,
+    sizes: activeSequence.sizes,
+    groups: activeSequence.groups,
+    normals: activeSequence.normals
   };
 }
 
-function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
+function makeInstancedParticles({ count, wCells, hCells, uvs, colors, depths, sizes, groups, normals }) {
   // Create a single plane geometry that will be instanced
   const planeGeom = new THREE.PlaneGeometry(1, 1);
 
@@ -911,9 +1068,19 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
   geometry.setAttribute('aInstanceUV', new THREE.InstancedBufferAttribute(uvs, 2));
   geometry.setAttribute('aInstanceColor', new THREE.InstancedBufferAttribute(new Uint8Array(colors), 4, true));
 
+  // Colour of the current target; the shader blends aInstanceColor -> aTargetColor by uColorMix
+  geometry.setAttribute('aTargetColor', new THREE.InstancedBufferAttribute(new Uint8Array(colors), 4, true));
+
   // Add separate target UV coordinates (initially same as instance UV)
   geometry.setAttribute('aTargetUV', new THREE.InstancedBufferAttribute(new Float32Array(uvs), 2));
 
+  // Optional CEL2 channels of the current target (swapped together with aTargetUV). Group and
+  // normal are exposed for shaders to use; the built-in one doesn't read them yet.
+  geometry.setAttribute('aTargetDepth', new THREE.InstancedBufferAttribute(new Float32Array(depths), 1));
+  geometry.setAttribute('aTargetSizeWeight', new THREE.InstancedBufferAttribute(new Float32Array(sizes), 1));
+  geometry.setAttribute('aTargetGroup', new THREE.InstancedBufferAttribute(new Float32Array(groups), 1));
+  geometry.setAttribute('aTargetNormal', new THREE.InstancedBufferAttribute(new Float32Array(normals), 3));
+
   // Random start positions
   const aStart = new Float32Array(count * 3);
   for (let i = 0; i < count; i++) {
@@ -926,94 +1093,41 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
   }
   geometry.setAttribute('aInstanceStart', new THREE.InstancedBufferAttribute(aStart, 3));
 
-  // Fade system attributes
-  // Create deterministic random order using seeded random
+  // Deterministic per-particle randomness (speeds, sizes)
   const seedRandom = (seed) => {
     let x = Math.sin(seed) * 10000;
     return x - Math.floor(x);
   };
 
-  // Create TWO separate particle orders - one for visibility, one for movement
-  const particleOrderVisibility = new Float32Array(count);
-  const particleOrderMovement = new Float32Array(count);
-  const indices = Array.from({ length: count }, (_, i) => i);
-
-  // Simple random ordering function
-  const getOrderValue = (u, v) => {
-    return seedRandom(u * 12.9898 + v * 78.233);
-  };
-
-  // Sort indices for VISIBILITY order (using one random seed)
-  const indicesVis = [...indices];
-  indicesVis.sort((a, b) => {
-    // Use a different seed for visibility ordering
-    const orderA = seedRandom(uvs[a * 2] * 12.9898 + uvs[a * 2 + 1] * 78.233 + 1000);
-    const orderB = seedRandom(uvs[b * 2] * 12.9898 + uvs[b * 2 + 1] * 78.233 + 1000);
-    return orderA - orderB;
-  });
-
-  // Sort indices for MOVEMENT order (using different random seed)
-  const indicesMove = [...indices];
-  indicesMove.sort((a, b) => {
-    // Use a different seed for movement ordering
-    const orderA = seedRandom(uvs[a * 2] * 45.678 + uvs[a * 2 + 1] * 123.456 + 2000);
-    const orderB = seedRandom(uvs[b * 2] * 45.678 + uvs[b * 2 + 1] * 123.456 + 2000);
-    return orderA - orderB;
-  });
-
-  // Store both order indices for each particle
-  for (let i = 0; i < count; i++) {
-    particleOrderVisibility[indicesVis[i]] = i / count; // Normalized position in visibility order
-    particleOrderMovement[indicesMove[i]] = i / count; // Normalized position in movement order
-  }
+  // Separate fill orders for visibility and movement (see fill-patterns.js)
+  const particleOrderVisibility = computeChannelOrder({ count, uvs, colors, wCells, hCells }, params, 'visibility');
+  const particleOrderMovement = computeChannelOrder({ count, uvs, colors, wCells, hCells }, params, 'movement');
 
   geometry.setAttribute('aParticleOrderVisibility', new THREE.InstancedBufferAttribute(particleOrderVisibility, 1));
   geometry.setAttribute('aParticleOrderMovement', new THREE.InstancedBufferAttribute(particleOrderMovement, 1));
 
-  // Current opacity for each particle (starts at 0 for invisible startup)
-  const aOpacity = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aOpacity[i] = 0.0;
-  }
-  geometry.setAttribute('aOpacity', new THREE.InstancedBufferAttribute(aOpacity, 1));
-
-  // Target opacity (what we're fading to)
-  const aTargetOpacity = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aTargetOpacity[i] = 0.0;
-  }
-  geometry.setAttribute('aTargetOpacity', new THREE.InstancedBufferAttribute(aTargetOpacity, 1));
+  // Fade state (value, start time, target opacity) evaluated in the shader; starts invisible
+  geometry.setAttribute('aFadeState', new THREE.InstancedBufferAttribute(createStateArray(count, 0.0), 3));
 
   // Fade speed for each particle (deterministic based on index)
   const aFadeSpeed = new Float32Array(count);
   for (let i = 0; i < count; i++) {
     const t = seedRandom(i * 45.233 + 12.9898);
-    const frames = params.fadeSpeedMin + t * (params.fadeSpeedMax - params.fadeSpeedMin);
-    aFadeSpeed[i] = 1.0 / frames;
+    const seconds = params.fadeTimeMin + t * (params.fadeTimeMax - params.fadeTimeMin);
+    aFadeSpeed[i] = 1.0 / seconds;
   }
   geometry.setAttribute('aFadeSpeed', new THREE.InstancedBufferAttribute(aFadeSpeed, 1));
 
   // Movement system attributes
-  // Current progress for each particle (0 = start position, 1 = target position)
-  const aProgress = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aProgress[i] = 0.0; // Start at turbulent position
-  }
-  geometry.setAttribute('aProgress', new THREE.InstancedBufferAttribute(aProgress, 1));
-
-  // Target progress (what we're moving towards)
-  const aTargetProgress = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aTargetProgress[i] = 0.0; // Initially not moving to target
-  }
-  geometry.setAttribute('aTargetProgress', new THREE.InstancedBufferAttribute(aTargetProgress, 1));
+  // Move state (value, start time, target progress): 0 = start position, 1 = target position
+  geometry.setAttribute('aMoveState', new THREE.InstancedBufferAttribute(createStateArray(count, 0.0), 3));
 
   // Movement speed for each particle (deterministic based on index)
   const aMoveSpeed = new Float32Array(count);
   for (let i = 0; i < count; i++) {
     const t = seedRandom(i * 67.891 + 23.456); // Different seed for movement
-    const frames = params.moveSpeedMin + t * (params.moveSpeedMax - params.moveSpeedMin);
-    aMoveSpeed[i] = 1.0 / frames;
+    const seconds = params.moveTimeMin + t * (params.moveTimeMax - params.moveTimeMin);
+    aMoveSpeed[i] = 1.0 / seconds;
   }
   geometry.setAttribute('aMoveSpeed', new THREE.InstancedBufferAttribute(aMoveSpeed, 1));
 
@@ -1026,27 +1140,23 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
   geometry.setAttribute('aRandomSize', new THREE.InstancedBufferAttribute(aRandomSize, 1));
 
   // Drag system attributes
-  // Previous camera position for each particle (starts at 0)
-  const aPrevCameraY = new Float32Array(count);
+  // Drag level for each particle: 0 = dragTimeMin seconds .. 1 = dragTimeMax (deterministic)
+  const aDragLevel = new Float32Array(count);
   for (let i = 0; i < count; i++) {
-    aPrevCameraY[i] = 0.0;
+    aDragLevel[i] = seedRandom(i * 123.789 + 67.890); // Different seed for drag
   }
-  geometry.setAttribute('aPrevCameraY', new THREE.InstancedBufferAttribute(aPrevCameraY, 1));
+  geometry.setAttribute('aDragLevel', new THREE.InstancedBufferAttribute(aDragLevel, 1));
 
-  // Drag speed for each particle (deterministic based on index)
-  const aDragSpeed = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    const t = seedRandom(i * 123.789 + 67.890); // Different seed for drag
-    const frames = params.dragSpeedMin + t * (params.dragSpeedMax - params.dragSpeedMin);
-    aDragSpeed[i] = 1.0 / frames;
-  }
-  geometry.setAttribute('aDragSpeed', new THREE.InstancedBufferAttribute(aDragSpeed, 1));
+  // Targets are driven by the visibility/movement order thresholds
+  geometry.userData.fadeTrack = createStateTrack(geometry.attributes.aFadeState, geometry.attributes.aFadeSpeed, geometry.attributes.aParticleOrderVisibility);
+  geometry.userData.moveTrack = createStateTrack(geometry.attributes.aMoveState, geometry.attributes.aMoveSpeed, geometry.attributes.aParticleOrderMovement);
 
   const uniforms = {
     uTime: { value: 0 },
     uPlane: { value: new THREE.Vector2(1, 1) },
     uImgAspect: { value: wCells / hCells },
     uParticleSizeTarget: { value: params.particleSizeTarget },
+    uDepthScale: { value: params.depthScale },
     uSoftness: { value: params.softness },
     uEdgeFade: { value: params.edgeFade },
     uTurbulence1Amount: { value: params.turbulence1Amount },
@@ -1062,19 +1172,31 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
     uDragAmount: { value: params.dragAmount },
     uDeltaTime: { value: 0 },
     uSequenceOffset: { value: 0 },
-    uCameraY: { value: 0 }
+    uCameraY: { value: 0 },
+    uColorMix: { value: 1 },
+    uStateTime: { value: 0 },
+    uFadeEasing: { value: easingIndex(params.fadeEasing) },
+    uMoveEasing: { value: easingIndex(params.moveEasing) },
+    uMoveScrub: { value: -1 }, // Scrub-mode move time in seconds; < 0 runs moves on uStateTime
+    uDragLevels: { value: dragFilter.values }
   };
 
   const vertexShader = `
      attribute vec2 aInstanceUV;
      attribute vec2 aTargetUV;
+     attribute float aTargetDepth;
+     attribute float aTargetSizeWeight;
+     attribute float aTargetGroup;
+     attribute vec3 aTargetNormal;
      attribute vec3 aInstanceStart;
      attribute vec4 aInstanceColor;
-     attribute float aOpacity;
-     attribute float aProgress;
+     attribute vec4 aTargetColor;
+     attribute vec3 aFadeState;
+     attribute float aFadeSpeed;
+     attribute vec3 aMoveState;
+     attribute float aMoveSpeed;
      attribute float aRandomSize;
-     attribute float aPrevCameraY;
-     attribute float aDragSpeed;
+     attribute float aDragLevel;
 
      varying vec4 vColor;
      varying vec2 vUv;
@@ -1085,6 +1207,7 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
      uniform vec2 uPlane;
      uniform float uVisiblePercentage;
      uniform float uParticleSizeTarget;
+     uniform float uDepthScale;
     uniform float uTurbulence1Amount;
     uniform float uTurbulence1Speed;
     uniform float uTurbulence1Scale;
@@ -1096,7 +1219,12 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
     uniform float uDragAmount;
     uniform float uSequenceOffset;
     uniform float uCameraY;
-
+    uniform float uColorMix;
+    uniform int uFadeEasing;
+    uniform int uMoveEasing;
+    uniform float uMoveScrub;
+${PARTICLE_STATE_GLSL}
+${DRAG_STATE_GLSL}
     vec3 n3(vec3 p){
       return vec3(
         sin(p.x + 1.7) + sin(p.y*1.3 + 2.1) + sin(p.z*0.7 + 4.2),
@@ -1106,9 +1234,12 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
     }
 
     void main(){
-      vColor = aInstanceColor;
+      vColor = mix(aInstanceColor, aTargetColor, uColorMix);
       vUv = uv;
-       vOpacity = aOpacity * uVisiblePercentage;
+      float progress = uMoveScrub < 0.0
+        ? stateValue(aMoveState, aMoveSpeed, uMoveEasing)
+        : scrubbedStateValue(aMoveState, aMoveSpeed, uMoveScrub, uMoveEasing);
+       vOpacity = stateValue(aFadeState, aFadeSpeed, uFadeEasing) * uVisiblePercentage;
 
        // Map target UV to image plane (for target position)
        float planeAspect = uPlane.x / uPlane.y;
@@ -1121,7 +1252,7 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
        }
 
 
-       vec3 target = vec3(p * uPlane * 0.45, 0.0);
+       vec3 target = vec3(p * uPlane * 0.45, aTargetDepth * uDepthScale);
 
        // Offset target position based on sequence index to match texture plane positions
        target.y += uSequenceOffset;
@@ -1140,19 +1271,19 @@ function makeInstancedParticles({ count, wCells, hCells, uvs, colors }) {
       vec3 turbulent = start + wobble1 + wobble2;
 
       // Calculate dragged camera Y
-      float draggedCameraY = mix(aPrevCameraY, uCameraY, uDragAmount);
+      float draggedCameraY = mix(dragCameraY(aDragLevel), uCameraY, uDragAmount);
 
       // Interpolate between turbulent and target positions FIRST
-      vec3 instancePos = mix(turbulent, target, aProgress);
+      vec3 instancePos = mix(turbulent, target, progress);
 
       // THEN apply camera Y influence to the interpolated position
-      // When aProgress=0: particles follow camera Y movement (full influence)
-      // When aProgress=1: particles ignore camera Y (no influence, stay at target)
-      float cameraYInfluence = 1.0 - aProgress;
+      // When progress=0: particles follow camera Y movement (full influence)
+      // When progress=1: particles ignore camera Y (no influence, stay at target)
+      float cameraYInfluence = 1.0 - progress;
       instancePos.y += draggedCameraY * cameraYInfluence;
 
       // Interpolate particle size based on progress
-      float particleSize = mix(aRandomSize, uParticleSizeTarget, aProgress);
+      float particleSize = mix(aRandomSize, uParticleSizeTarget * aTargetSizeWeight, progress);
 
       // Billboard the particle to face camera
       vec4 mvPosition = modelViewMatrix * vec4(instancePos, 1.0);
@@ -1252,42 +1383,22 @@ function makeTurbulentParticles(count) {
   geometry.setAttribute('aInstanceStart', new THREE.InstancedBufferAttribute(aStart, 3));
 
   // Fade system attributes - start invisible, fade in during startup
-  const aOpacity = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aOpacity[i] = 0.0;
-  }
-  geometry.setAttribute('aOpacity', new THREE.InstancedBufferAttribute(aOpacity, 1));
+  geometry.setAttribute('aFadeState', new THREE.InstancedBufferAttribute(createStateArray(count, 0.0), 3));
 
-  const aTargetOpacity = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aTargetOpacity[i] = 0.0;
-  }
-  geometry.setAttribute('aTargetOpacity', new THREE.InstancedBufferAttribute(aTargetOpacity, 1));
-
-  // Fade speed (dummy)
+  // Fade speed (dummy): settles within one 60fps frame
   const aFadeSpeed = new Float32Array(count);
   for (let i = 0; i < count; i++) {
-    aFadeSpeed[i] = 1.0;
+    aFadeSpeed[i] = 60.0;
   }
   geometry.setAttribute('aFadeSpeed', new THREE.InstancedBufferAttribute(aFadeSpeed, 1));
 
-  // Movement system attributes - always at progress 0
-  const aProgress = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aProgress[i] = 0.0; // Always turbulent
-  }
-  geometry.setAttribute('aProgress', new THREE.InstancedBufferAttribute(aProgress, 1));
-
-  const aTargetProgress = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aTargetProgress[i] = 0.0; // Never move to target
-  }
-  geometry.setAttribute('aTargetProgress', new THREE.InstancedBufferAttribute(aTargetProgress, 1));
+  // Movement system attributes - always at progress 0 (always turbulent, never move to target)
+  geometry.setAttribute('aMoveState', new THREE.InstancedBufferAttribute(createStateArray(count, 0.0), 3));
 
   // Move speed (dummy)
   const aMoveSpeed = new Float32Array(count);
   for (let i = 0; i < count; i++) {
-    aMoveSpeed[i] = 1.0;
+    aMoveSpeed[i] = 60.0;
   }
   geometry.setAttribute('aMoveSpeed', new THREE.InstancedBufferAttribute(aMoveSpeed, 1));
 
@@ -1299,18 +1410,8 @@ function makeTurbulentParticles(count) {
   }
   geometry.setAttribute('aRandomSize', new THREE.InstancedBufferAttribute(aRandomSize, 1));
 
-  // Drag system attributes
-  const aPrevCameraY = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aPrevCameraY[i] = 0.0;
-  }
-  geometry.setAttribute('aPrevCameraY', new THREE.InstancedBufferAttribute(aPrevCameraY, 1));
-
-  const aDragSpeed = new Float32Array(count);
-  for (let i = 0; i < count; i++) {
-    aDragSpeed[i] = 1.0;
-  }
-  geometry.setAttribute('aDragSpeed', new THREE.InstancedBufferAttribute(aDragSpeed, 1));
+  // Drag system attributes (single level, see turbulentDragFilter)
+  geometry.setAttribute('aDragLevel', new THREE.InstancedBufferAttribute(new Float32Array(count), 1));
 
   // Particle order (dummy, since always visible and at progress 0)
   const particleOrderVisibility = new Float32Array(count);
@@ -1322,6 +1423,9 @@ function makeTurbulentParticles(count) {
   geometry.setAttribute('aParticleOrderVisibility', new THREE.InstancedBufferAttribute(particleOrderVisibility, 1));
   geometry.setAttribute('aParticleOrderMovement', new THREE.InstancedBufferAttribute(particleOrderMovement, 1));
 
+  geometry.userData.fadeTrack = createStateTrack(geometry.attributes.aFadeState, geometry.attributes.aFadeSpeed, geometry.attributes.aParticleOrderVisibility);
+  geometry.userData.moveTrack = createStateTrack(geometry.attributes.aMoveState, geometry.attributes.aMoveSpeed, geometry.attributes.aParticleOrderMovement);
+
   const uniforms = {
     uTime: { value: 0 },
     uPlane: { value: new THREE.Vector2(1, 1) },
@@ -1343,7 +1447,9 @@ function makeTurbulentParticles(count) {
     uDragAmount: { value: params.dragAmount },
     uDeltaTime: { value: 0 },
     uSequenceOffset: { value: 0 },
-    uCameraY: { value: 0 }
+    uCameraY: { value: 0 },
+    uStateTime: { value: 0 },
+    uDragLevels: { value: turbulentDragFilter.values }
   };
 
   const vertexShader = `
@@ -1351,11 +1457,12 @@ function makeTurbulentParticles(count) {
     attribute vec2 aTargetUV;
     attribute vec3 aInstanceStart;
     attribute vec4 aInstanceColor;
-    attribute float aOpacity;
-    attribute float aProgress;
+    attribute vec3 aFadeState;
+    attribute float aFadeSpeed;
+    attribute vec3 aMoveState;
+    attribute float aMoveSpeed;
     attribute float aRandomSize;
-    attribute float aPrevCameraY;
-    attribute float aDragSpeed;
+    attribute float aDragLevel;
 
     varying vec4 vColor;
     varying vec2 vUv;
@@ -1377,7 +1484,8 @@ function makeTurbulentParticles(count) {
     uniform float uDragAmount;
     uniform float uSequenceOffset;
     uniform float uCameraY;
-
+${PARTICLE_STATE_GLSL}
+${DRAG_STATE_GLSL}
     vec3 n3(vec3 p){
       return vec3(
         sin(p.x + 1.7) + sin(p.y*1.3 + 2.1) + sin(p.z*0.7 + 4.2),
@@ -1389,7 +1497,8 @@ function makeTurbulentParticles(count) {
     void main(){
       vColor = aInstanceColor;
       vUv = uv;
-       vOpacity = aOpacity * uVisiblePercentage;
+      float progress = stateValue(aMoveState, aMoveSpeed, 1);
+       vOpacity = stateValue(aFadeState, aFadeSpeed, 1) * uVisiblePercentage;
 
       // Map target UV to image plane (for target position)
       float planeAspect = uPlane.x / uPlane.y;
@@ -1421,19 +1530,19 @@ function makeTurbulentParticles(count) {
       vec3 turbulent = start + wobble1 + wobble2;
 
       // Calculate dragged camera Y
-      float draggedCameraY = mix(aPrevCameraY, uCameraY, uDragAmount);
+      float draggedCameraY = mix(dragCameraY(aDragLevel), uCameraY, uDragAmount);
 
       // Interpolate between turbulent and target positions FIRST
-      vec3 instancePos = mix(turbulent, target, aProgress);
+      vec3 instancePos = mix(turbulent, target, progress);
 
       // THEN apply camera Y influence to the interpolated position
-      // When aProgress=0: particles follow camera Y movement (full influence)
-      // When aProgress=1: particles ignore camera Y (no influence, stay at target)
-      float cameraYInfluence = 1.0 - aProgress;
+      // When progress=0: particles follow camera Y movement (full influence)
+      // When progress=1: particles ignore camera Y (no influence, stay at target)
+      float cameraYInfluence = 1.0 - progress;
       instancePos.y += draggedCameraY * cameraYInfluence;
 
       // Interpolate particle size based on progress
-      float particleSize = mix(aRandomSize, uParticleSizeTarget, aProgress);
+      float particleSize = mix(aRandomSize, uParticleSizeTarget, progress);
 
       // Billboard the particle to face camera
       vec4 mvPosition = modelViewMatrix * vec4(instancePos, 1.0);
@@ -1504,12 +1613,45 @@ function switchToSequence(newIndex) {
     targetUVs[i * 2 + 1] = newSequence.uvs[i * 2 + 1];
   }
 
+  // Freeze the colour currently on screen as the blend start, then fade to the new section's colours
+  const fromColors = geometry.attributes.aInstanceColor.array;
+  const targetColors = geometry.attributes.aTargetColor.array;
+  const colorMix = uniforms.uColorMix.value;
+  for (let i = 0; i < fromColors.length; i++) {
+    fromColors[i] = Math.round(fromColors[i] + (targetColors[i] - fromColors[i]) * colorMix);
+  }
+  targetColors.set(newSequence.colors);
+  geometry.attributes.aInstanceColor.needsUpdate = true;
+  geometry.attributes.aTargetColor.needsUpdate = true;
+  colorFadeProgress = 0;
+  uniforms.uColorMix.value = 0;
+
+  // Optional CEL2 channels travel with the target UVs
+  geometry.attributes.aTargetDepth.array.set(newSequence.depths);
+  geometry.attributes.aTargetSizeWeight.array.set(newSequence.sizes);
+  geometry.attributes.aTargetGroup.array.set(newSequence.groups);
+  geometry.attributes.aTargetNormal.array.set(newSequence.normals);
+
   // Mark target UVs for update
   geometry.attributes.aTargetUV.needsUpdate = true;
+  geometry.attributes.aTargetDepth.needsUpdate = true;
+  geometry.attributes.aTargetSizeWeight.needsUpdate = true;
+  geometry.attributes.aTargetGroup.needsUpdate = true;
+  geometry.attributes.aTargetNormal.needsUpdate = true;
 
   // Update window reference
   window.particleData = createParticleBuffer(maxParticleCount, newSequence);
 
+  // 'pointer-distance' re-centres on the pointer each time the section changes
+  const pointerChannels = FILL_CHANNELS.filter(channel => params[`${channel}Pattern`] === 'pointer-distance');
+  if (pointerChannels.length && lastPointerUV) {
+    for (const channel of pointerChannels) {
+      params[`${channel}Params`].originX = lastPointerUV.u;
+      params[`${channel}Params`].originY = lastPointerUV.v;
+    }
+    updateParticleOrdering(geometry, window.particleData);
+  }
+
   // Keep consistent aspect ratio using max dimensions (don't change on switch)
   // uniforms.uImgAspect.value remains the same for all sequences
 
@@ -1552,21 +1694,14 @@ function makeFrameHelper(planeVec2, imgAspect) {
 
 // Update which particles should be visible based on percentage
 function updateParticleTargets(geometry, visiblePercentage) {
-  const count = geometry.attributes.aTargetOpacity.count;
-  const targetOpacity = geometry.attributes.aTargetOpacity.array;
-  const particleOrderVisibility = geometry.attributes.aParticleOrderVisibility.array;
-
-  // Set target opacity based on VISIBILITY particle order
-  // Particles with order < visiblePercentage should be visible
-  for (let i = 0; i < count; i++) {
-    targetOpacity[i] = particleOrderVisibility[i] < visiblePercentage ? 1.0 : 0.0;
-  }
-
-  geometry.attributes.aTargetOpacity.needsUpdate = true;
+  // Particles with VISIBILITY order < visiblePercentage fade in, the rest fade out.
+  // Only particles whose target flips are touched, so calling this every frame is cheap.
+  geometry.userData.fadeTrack.setThreshold(visiblePercentage, stateTime);
 }
 
 // Update fade speeds when parameters change (keeps deterministic ratio)
 function updateFadeSpeeds(geometry) {
+  geometry.userData.fadeTrack.rebase(stateTime); // Keep running fades continuous
   const count = geometry.attributes.aFadeSpeed.count;
   const fadeSpeed = geometry.attributes.aFadeSpeed.array;
 
@@ -1579,86 +1714,22 @@ function updateFadeSpeeds(geometry) {
   for (let i = 0; i < count; i++) {
     // Use deterministic random based on particle index
     const t = seedRandom(i * 45.233 + 12.9898);
-    const frames = params.fadeSpeedMin + t * (params.fadeSpeedMax - params.fadeSpeedMin);
-    fadeSpeed[i] = 1.0 / frames;
+    const seconds = params.fadeTimeMin + t * (params.fadeTimeMax - params.fadeTimeMin);
+    fadeSpeed[i] = 1.0 / seconds;
   }
 
   geometry.attributes.aFadeSpeed.needsUpdate = true;
 }
 
-// Smoothstep function for S-curve interpolation
-function smoothstep(edge0, edge1, x) {
-  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
-  return t * t * (3 - 2 * t);
-}
-
-// Update particle opacity every frame with S-curve
-function updateParticleVisibility(geometry, deltaTime) {
-  const count = geometry.attributes.aOpacity.count;
-  const opacity = geometry.attributes.aOpacity.array;
-  const targetOpacity = geometry.attributes.aTargetOpacity.array;
-  const fadeSpeed = geometry.attributes.aFadeSpeed.array;
-
-  // Assuming 60 FPS for frame-based fade speed
-  const frameMultiplier = deltaTime * 60;
-
-  // Store internal progress for S-curve (would be better as attribute but minimizing changes)
-  if (!geometry.userData.fadeProgress) {
-    geometry.userData.fadeProgress = new Float32Array(count);
-    for (let i = 0; i < count; i++) {
-      geometry.userData.fadeProgress[i] = 0.0; // Start invisible
-    }
-  }
-  const fadeProgress = geometry.userData.fadeProgress;
-
-  for (let i = 0; i < count; i++) {
-    const target = targetOpacity[i];
-    const current = opacity[i];
-    const diff = target - current;
-
-    if (Math.abs(diff) > 0.001) {
-      // Update linear progress
-      const step = fadeSpeed[i] * frameMultiplier;
-
-      if (diff > 0) {
-        fadeProgress[i] = Math.min(fadeProgress[i] + step, 1.0);
-      } else {
-        fadeProgress[i] = Math.max(fadeProgress[i] - step, 0.0);
-      }
-
-      // Apply S-curve to the progress
-      if (target > 0.5) {
-        // Fading in: use smoothstep from 0 to 1
-        opacity[i] = smoothstep(0, 1, fadeProgress[i]);
-      } else {
-        // Fading out: use smoothstep from 1 to 0
-        opacity[i] = smoothstep(0, 1, fadeProgress[i]);
-      }
-    } else {
-      fadeProgress[i] = target; // Sync progress when reached target
-    }
-  }
-
-  geometry.attributes.aOpacity.needsUpdate = true;
-}
-
 // Update movement targets based on percentage (like opacity)
 function updateMovementTargets(geometry) {
-  const count = geometry.attributes.aTargetProgress.count;
-  const targetProgress = geometry.attributes.aTargetProgress.array;
-  const particleOrderMovement = geometry.attributes.aParticleOrderMovement.array;
-
-  // Set target progress based on MOVEMENT particle order
-  // Particles with order < movePercentage should move to target
-  for (let i = 0; i < count; i++) {
-    targetProgress[i] = particleOrderMovement[i] < params.movePercentage ? 1.0 : 0.0;
-  }
-
-  geometry.attributes.aTargetProgress.needsUpdate = true;
+  // Particles with MOVEMENT order < movePercentage should move to target
+  geometry.userData.moveTrack.setThreshold(params.movePercentage, stateTime);
 }
 
 // Update move speeds when parameters change (keeps deterministic ratio)
 function updateMoveSpeeds(geometry) {
+  geometry.userData.moveTrack.rebase(stateTime); // Keep running moves continuous
   const count = geometry.attributes.aMoveSpeed.count;
   const moveSpeed = geometry.attributes.aMoveSpeed.array;
 
@@ -1671,84 +1742,13 @@ function updateMoveSpeeds(geometry) {
   for (let i = 0; i < count; i++) {
     // Use deterministic random based on particle index
     const t = seedRandom(i * 67.891 + 23.456);
-    const frames = params.moveSpeedMin + t * (params.moveSpeedMax - params.moveSpeedMin);
-    moveSpeed[i] = 1.0 / frames;
+    const seconds = params.moveTimeMin + t * (params.moveTimeMax - params.moveTimeMin);
+    moveSpeed[i] = 1.0 / seconds;
   }
 
   geometry.attributes.aMoveSpeed.needsUpdate = true;
 }
 
-// Update drag speeds when parameters change (keeps deterministic ratio)
-function updateDragSpeeds(geometry) {
-  const count = geometry.attributes.aDragSpeed.count;
-  const dragSpeed = geometry.attributes.aDragSpeed.array;
-
-  // Seeded random function
-  const seedRandom = (seed) => {
-    let x = Math.sin(seed) * 10000;
-    return x - Math.floor(x);
-  };
-
-  for (let i = 0; i < count; i++) {
-    // Use deterministic random based on particle index
-    const t = seedRandom(i * 123.789 + 67.890);
-    const frames = params.dragSpeedMin + t * (params.dragSpeedMax - params.dragSpeedMin);
-    dragSpeed[i] = 1.0 / frames;
-  }
-
-  geometry.attributes.aDragSpeed.needsUpdate = true;
-}
-
-// Update particle movement every frame with S-curve
-function updateParticleMovement(geometry, deltaTime) {
-  const count = geometry.attributes.aProgress.count;
-  const progress = geometry.attributes.aProgress.array;
-  const targetProgress = geometry.attributes.aTargetProgress.array;
-  const moveSpeed = geometry.attributes.aMoveSpeed.array;
-
-  // Assuming 60 FPS for frame-based move speed
-  const frameMultiplier = deltaTime * 60;
-
-  // Store internal progress for S-curve
-  if (!geometry.userData.moveProgress) {
-    geometry.userData.moveProgress = new Float32Array(count);
-    for (let i = 0; i < count; i++) {
-      geometry.userData.moveProgress[i] = progress[i]; // Initialize with current progress
-    }
-  }
-  const moveProgress = geometry.userData.moveProgress;
-
-  for (let i = 0; i < count; i++) {
-    const target = targetProgress[i];
-    const current = progress[i];
-    const diff = target - current;
-
-    if (Math.abs(diff) > 0.001) {
-      // Update linear progress
-      const step = moveSpeed[i] * frameMultiplier;
-
-      if (diff > 0) {
-        moveProgress[i] = Math.min(moveProgress[i] + step, 1.0);
-      } else {
-        moveProgress[i] = Math.max(moveProgress[i] - step, 0.0);
-      }
-
-      // Apply S-curve to the progress for smooth acceleration/deceleration
-      if (target > 0.5) {
-        // Moving to target: use smoothstep
-        progress[i] = smoothstep(0, 1, moveProgress[i]);
-      } else {
-        // Moving back to turbulent: use smoothstep
-        progress[i] = smoothstep(0, 1, moveProgress[i]);
-      }
-    } else {
-      moveProgress[i] = target; // Sync progress when reached target
-    }
-  }
-
-  geometry.attributes.aProgress.needsUpdate = true;
-}
-
 // Update particle sizes when parameters change
 function updateParticleSizes(geometry) {
   const count = geometry.attributes.aRandomSize.count;
@@ -1769,74 +1769,15 @@ function updateParticleSizes(geometry) {
   geometry.attributes.aRandomSize.needsUpdate = true;
 }
 
-// Update particle drag every frame - makes each particle catch up to camera Y at different speeds
-function updateParticleDrag(geometry, deltaTime) {
-  const count = geometry.attributes.aPrevCameraY.count;
-  const prevCameraY = geometry.attributes.aPrevCameraY.array;
-  const dragSpeed = geometry.attributes.aDragSpeed.array;
-
-  // Assuming 60 FPS for frame-based drag speed
-  const frameMultiplier = deltaTime * 60;
-
-  for (let i = 0; i < count; i++) {
-    // Each particle catches up to the current camera Y at its own speed
-    const diff = camera.position.y - prevCameraY[i];
-
-    if (Math.abs(diff) > 0.001) {
-      const step = dragSpeed[i] * frameMultiplier;
-
-      if (diff > 0) {
-        prevCameraY[i] = Math.min(prevCameraY[i] + step * Math.abs(diff), camera.position.y);
-      } else {
-        prevCameraY[i] = Math.max(prevCameraY[i] + step * diff, camera.position.y);
-      }
-    } else {
-      prevCameraY[i] = camera.position.y; // Sync when very close
-    }
-  }
-
-  geometry.attributes.aPrevCameraY.needsUpdate = true;
-}
-
 // Update particle ordering when mode or scale changes
 function updateParticleOrdering(geometry, data) {
   if (!data || !data.uvs) return;
 
-  const count = geometry.attributes.aParticleOrderVisibility.count;
-  const particleOrderVisibility = geometry.attributes.aParticleOrderVisibility.array;
-  const particleOrderMovement = geometry.attributes.aParticleOrderMovement.array;
-  const uvs = data.uvs;
-  const indices = Array.from({ length: count }, (_, i) => i);
-
-  // Seeded random function
-  const seedRandom = (seed) => {
-    let x = Math.sin(seed) * 10000;
-    return x - Math.floor(x);
-  };
-
-  // Random ordering with different seeds for visibility and movement
-  // Sort indices for VISIBILITY order
-  const indicesVis = [...indices];
-  indicesVis.sort((a, b) => {
-    const orderA = seedRandom(uvs[a * 2] * 12.9898 + uvs[a * 2 + 1] * 78.233 + 1000);
-    const orderB = seedRandom(uvs[b * 2] * 12.9898 + uvs[b * 2 + 1] * 78.233 + 1000);
-    return orderA - orderB;
-  });
-
-  // Sort indices for MOVEMENT order (different seed)
-  const indicesMove = [...indices];
-  indicesMove.sort((a, b) => {
-    const orderA = seedRandom(uvs[a * 2] * 45.678 + uvs[a * 2 + 1] * 123.456 + 2000);
-    const orderB = seedRandom(uvs[b * 2] * 45.678 + uvs[b * 2 + 1] * 123.456 + 2000);
-    return orderA - orderB;
-  });
-
-  // Store both orders
-  for (let i = 0; i < count; i++) {
-    particleOrderVisibility[indicesVis[i]] = i / count;
-    particleOrderMovement[indicesMove[i]] = i / count;
-  }
+  geometry.attributes.aParticleOrderVisibility.array.set(computeChannelOrder(data, params, 'visibility'));
+  geometry.attributes.aParticleOrderMovement.array.set(computeChannelOrder(data, params, 'movement'));
 
   geometry.attributes.aParticleOrderVisibility.needsUpdate = true;
   geometry.attributes.aParticleOrderMovement.needsUpdate = true;
+  geometry.userData.fadeTrack.reorder(stateTime);
+  geometry.userData.moveTrack.reorder(stateTime);
 }
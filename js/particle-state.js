@@ -0,0 +1,160 @@
+// particle-state.js — GPU-evaluated fade/move/drag state for the instanced particles
+//
+// Fade and move used to be integrated per particle on the CPU every frame. Now every particle
+// stores a (value, startTime, target) vec3: its linear progress ramps from `value` towards
+// `target` at the particle's own speed (1 / seconds) from `startTime` on, and the vertex
+// shader evaluates that against uStateTime and shapes it with an easing curve. JS only writes the particles whose target flips, so
+// the per-frame cost stays flat no matter how many particles there are.
+//
+// Drag is a lag filter on the camera Y and can't be solved in closed form per particle, so it
+// runs on the CPU for a handful of drag-speed levels; particles interpolate between two levels.
+
+import { EASING_GLSL, damp } from './timing.js';
+
+export const DRAG_LEVELS = 16;
+
+// Shared GLSL: declare once per vertex shader before main()
+export const PARTICLE_STATE_GLSL = `
+    uniform float uStateTime;
+${EASING_GLSL}
+    // Linear progress of a (value, startTime, target) state at uStateTime
+    float rampState(vec3 state, float speed) {
+      float travelled = speed * max(uStateTime - state.y, 0.0);
+      return state.z > state.x ? min(state.x + travelled, state.z) : max(state.x - travelled, state.z);
+    }
+
+    // Eased value; curve indexes EASING_NAMES in timing.js
+    float stateValue(vec3 state, float speed, int curve) {
+      return easeCurve(curve, rampState(state, speed));
+    }
+
+    // Eased value with the ramp driven by scrubTime (seconds) instead of the clock: particles
+    // heading to 1 sit wherever their own speed has taken them by then, the rest stay at 0
+    float scrubbedStateValue(vec3 state, float speed, float scrubTime, int curve) {
+      return state.z * easeCurve(curve, clamp(speed * scrubTime, 0.0, 1.0));
+    }
+`;
+
+export const DRAG_STATE_GLSL = `
+    uniform float uDragLevels[${DRAG_LEVELS}];
+
+    // Camera Y as seen by a particle whose drag level is 0 (fastest) .. 1 (slowest)
+    float dragCameraY(float level) {
+      float x = clamp(level, 0.0, 1.0) * ${DRAG_LEVELS - 1}.0;
+      int i = int(floor(x));
+      int j = int(min(float(i + 1), ${DRAG_LEVELS - 1}.0));
+      return mix(uDragLevels[i], uDragLevels[j], x - float(i));
+    }
+`;
+
+// (value, startTime, target) triples, all settled at `value`
+export function createStateArray(count, value = 0) {
+  const state = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    state[i * 3] = value;
+    state[i * 3 + 2] = value;
+  }
+  return state;
+}
+
+// CPU mirror of rampState() for a single particle
+function rampAt(state, i, speed, now) {
+  const value = state[i * 3], start = state[i * 3 + 1], target = state[i * 3 + 2];
+  const travelled = speed * Math.max(now - start, 0);
+  return target > value ? Math.min(value + travelled, target) : Math.max(value - travelled, target);
+}
+
+// Threshold-driven targets: particle i heads to 1 while order[i] < threshold, else to 0.
+// Particles are kept sorted by order so moving the threshold only visits the ones it flips.
+export function createStateTrack(stateAttribute, speedAttribute, orderAttribute) {
+  let sorted, sortedOrders;
+  let threshold = null;
+
+  function sortByOrder() {
+    const orders = orderAttribute.array;
+    sorted = Int32Array.from({ length: orders.length }, (_, i) => i).sort((a, b) => orders[a] - orders[b]);
+    sortedOrders = Float32Array.from(sorted, i => orders[i]);
+  }
+
+  // First sorted position whose order is >= t
+  function lowerBound(t) {
+    let lo = 0, hi = sortedOrders.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sortedOrders[mid] < t) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  function retarget(i, target, now) {
+    const state = stateAttribute.array;
+    if (state[i * 3 + 2] === target) return false;
+    state[i * 3] = rampAt(state, i, speedAttribute.array[i], now);
+    state[i * 3 + 1] = now;
+    state[i * 3 + 2] = target;
+    return true;
+  }
+
+  function setThreshold(t, now) {
+    if (t === threshold) return;
+    const orders = orderAttribute.array;
+    let changed = false;
+    if (threshold === null) {
+      for (let i = 0; i < orders.length; i++) changed = retarget(i, orders[i] < t ? 1 : 0, now) || changed;
+    } else {
+      const end = lowerBound(Math.max(t, threshold));
+      for (let k = lowerBound(Math.min(t, threshold)); k < end; k++) {
+        changed = retarget(sorted[k], sortedOrders[k] < t ? 1 : 0, now) || changed;
+      }
+    }
+    threshold = t;
+    if (changed) stateAttribute.needsUpdate = true;
+  }
+
+  // Order values changed (new fill pattern): re-sort and re-apply the current threshold everywhere
+  function reorder(now) {
+    sortByOrder();
+    const t = threshold;
+    threshold = null;
+    if (t !== null) setThreshold(t, now);
+  }
+
+  // Freeze current progress as the new start; call before the speeds change mid-transition
+  function rebase(now) {
+    const state = stateAttribute.array, speeds = speedAttribute.array;
+    for (let i = 0; i < speeds.length; i++) {
+      state[i * 3] = rampAt(state, i, speeds[i], now);
+      state[i * 3 + 1] = now;
+    }
+    stateAttribute.needsUpdate = true;
+  }
+
+  // Jump every particle to its current target with no transition (offline render start)
+  function settle(now) {
+    const state = stateAttribute.array;
+    for (let i = 0; i < state.length; i += 3) {
+      state[i] = state[i + 2];
+      state[i + 1] = now;
+    }
+    stateAttribute.needsUpdate = true;
+  }
+
+  sortByOrder();
+  return { setThreshold, reorder, rebase, settle };
+}
+
+// Camera Y lagged at DRAG_LEVELS time constants between minTime (level 0) and maxTime (level 1)
+export function createDragFilter(levels = DRAG_LEVELS) {
+  const values = new Float32Array(levels);
+
+  function update(cameraY, deltaTime, minTime, maxTime) {
+    for (let k = 0; k < levels; k++) {
+      const smoothTime = minTime + (k / (levels - 1)) * (maxTime - minTime);
+      values[k] = Math.abs(cameraY - values[k]) > 0.001
+        ? damp(values[k], cameraY, smoothTime, deltaTime)
+        : cameraY; // Sync when very close
+    }
+  }
+
+  return { values, update };
+}
@@ -0,0 +1,99 @@
+// point-grid.js — Uniform spatial hash over 2D points for nearest-neighbour queries
+// Points can be removed after insertion (used by greedy matching); the buckets are rebuilt
+// coarser whenever half of the points are gone so depleted regions stay cheap to search.
+
+export function createPointGrid(xs, ys, { cellSize } = {}) {
+  const count = xs.length;
+  const alive = new Uint8Array(count).fill(1);
+  let remaining = count;
+  let rebuildAt = 0;
+  let minX, minY, cols, rows, sx, sy, start, items, ends;
+
+  // Counting sort of the live point indices into buckets
+  function build() {
+    let maxX = -Infinity, maxY = -Infinity;
+    minX = Infinity; minY = Infinity;
+    for (let i = 0; i < count; i++) {
+      if (!alive[i]) continue;
+      if (xs[i] < minX) minX = xs[i];
+      if (xs[i] > maxX) maxX = xs[i];
+      if (ys[i] < minY) minY = ys[i];
+      if (ys[i] > maxY) maxY = ys[i];
+    }
+    if (remaining === 0) { minX = minY = 0; maxX = maxY = 1; }
+
+    // Roughly two points per bucket unless told otherwise
+    const spanX = Math.max(maxX - minX, 1e-6), spanY = Math.max(maxY - minY, 1e-6);
+    const size = cellSize || Math.sqrt((spanX * spanY * 2) / Math.max(remaining, 1));
+    cols = Math.max(1, Math.min(4096, Math.ceil(spanX / size)));
+    rows = Math.max(1, Math.min(4096, Math.ceil(spanY / size)));
+    sx = cols / spanX; sy = rows / spanY;
+
+    const bucket = new Int32Array(count);
+    start = new Int32Array(cols * rows + 1);
+    for (let i = 0; i < count; i++) {
+      if (!alive[i]) continue;
+      bucket[i] = bucketOf(xs[i], ys[i]);
+      start[bucket[i] + 1]++;
+    }
+    for (let b = 0; b < cols * rows; b++) start[b + 1] += start[b];
+    ends = start.slice(0, cols * rows);
+    items = new Int32Array(remaining);
+    for (let i = 0; i < count; i++) if (alive[i]) items[ends[bucket[i]]++] = i;
+    rebuildAt = cellSize ? 0 : remaining >> 1;
+  }
+
+  function bucketOf(x, y) {
+    const cx = Math.min(cols - 1, Math.max(0, Math.floor((x - minX) * sx)));
+    const cy = Math.min(rows - 1, Math.max(0, Math.floor((y - minY) * sy)));
+    return cy * cols + cx;
+  }
+
+  // Nearest live point to (x, y), or -1 when none is within maxDist
+  function nearest(x, y, maxDist = Infinity) {
+    if (remaining === 0) return -1;
+    const cx = Math.min(cols - 1, Math.max(0, Math.floor((x - minX) * sx)));
+    const cy = Math.min(rows - 1, Math.max(0, Math.floor((y - minY) * sy)));
+    const minCell = Math.min(1 / sx, 1 / sy);
+    // Distance from the query to the grid, for queries outside its bounds
+    const outside = Math.max(0, minX - x, x - minX - cols / sx, minY - y, y - minY - rows / sy);
+    let best = -1, bestD = maxDist * maxDist;
+
+    for (let ring = 0; ring <= Math.max(cols, rows); ring++) {
+      // Anything in this ring is at least (ring - 1) cells away
+      const reach = Math.max(outside, (ring - 1) * minCell);
+      if (reach > 0 && reach * reach > bestD) break;
+
+      for (let gy = cy - ring; gy <= cy + ring; gy++) {
+        if (gy < 0 || gy >= rows) continue;
+        const edgeRow = gy === cy - ring || gy === cy + ring;
+        for (let gx = cx - ring; gx <= cx + ring; gx += edgeRow ? 1 : ring * 2 || 1) {
+          if (gx < 0 || gx >= cols) continue;
+          const b = gy * cols + gx;
+          for (let k = start[b]; k < ends[b]; k++) {
+            const i = items[k];
+            const dx = xs[i] - x, dy = ys[i] - y;
+            const d = dx * dx + dy * dy;
+            if (d < bestD) { bestD = d; best = i; }
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  function remove(i) {
+    if (!alive[i]) return;
+    alive[i] = 0;
+    remaining--;
+    if (remaining > 0 && remaining <= rebuildAt) { build(); return; }
+    // Swap-remove inside the bucket so dead points are never scanned again
+    const b = bucketOf(xs[i], ys[i]);
+    for (let k = start[b]; k < ends[b]; k++) {
+      if (items[k] === i) { items[k] = items[--ends[b]]; break; }
+    }
+  }
+
+  build();
+  return { nearest, remove, get remaining() { return remaining; } };
+}
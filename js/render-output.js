@@ -0,0 +1,104 @@
+// render-output.js — Fixed-size offscreen output for offline renders
+//
+// Frames render into a WebGLRenderTarget of the requested size, independent of the window and
+// devicePixelRatio, and are copied into a 2D canvas that toBlob() / captureStream() read from.
+// The render target holds premultiplied colour (as the premultiplied blend mode writes it);
+// the copy delivers the alpha per ALPHA_MODES:
+//   straight      — un-premultiplied colour + alpha (ordinary transparent PNG)
+//   premultiplied — colour as rendered + alpha (interpret as "premultiplied, matted with black")
+//   luma-matte    — opaque colour over black in `canvas`, alpha as greyscale in `matteCanvas`
+
+import * as THREE from 'three';
+
+// [width, height] in output pixels at pixel ratio 1; null = current window size
+export const RENDER_PRESETS = {
+  'Window': null,
+  '1080p (1920×1080)': [1920, 1080],
+  'Vertical (1080×1920)': [1080, 1920],
+  'Square (1080×1080)': [1080, 1080],
+  '4K UHD (3840×2160)': [3840, 2160]
+};
+
+export const ALPHA_MODES = ['straight', 'premultiplied', 'luma-matte'];
+
+// evenSize rounds both sides to even pixel counts, which H.264 requires
+export function createRenderOutput(renderer, { width, height, pixelRatio = 1, evenSize = false }) {
+  const round = evenSize ? v => Math.max(2, Math.round(v / 2) * 2) : v => Math.max(1, Math.round(v));
+  const w = round(width * pixelRatio);
+  const h = round(height * pixelRatio);
+  const limit = Math.min(renderer.capabilities.maxTextureSize, renderer.capabilities.maxRenderbufferSize || Infinity);
+  if (w > limit || h > limit) throw new Error(`Render size ${w}×${h} exceeds this GPU's limit of ${limit}px`);
+
+  const target = new THREE.WebGLRenderTarget(w, h);
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d');
+  const pixels = new Uint8Array(w * h * 4);
+  const image = ctx.createImageData(w, h);
+  let matteCanvas = null, matteCtx = null, matteImage = null; // Created on the first luma-matte frame
+
+  const clearColor = new THREE.Color();
+  const previousClear = new THREE.Color();
+  const srgb = {};
+
+  function render(scene, camera, background, alpha = 1, alphaMode = 'straight') {
+    // On screen the hex background reaches the canvas unconverted; a render target would get
+    // the linear value, so hand it the sRGB components as if they were linear
+    clearColor.set(background).getRGB(srgb, THREE.SRGBColorSpace);
+    clearColor.setRGB(srgb.r, srgb.g, srgb.b, THREE.LinearSRGBColorSpace);
+
+    renderer.getClearColor(previousClear);
+    const previousAlpha = renderer.getClearAlpha();
+    renderer.setRenderTarget(target);
+    renderer.setClearColor(clearColor, alpha);
+    renderer.render(scene, camera);
+    renderer.readRenderTargetPixels(target, 0, 0, w, h, pixels);
+    renderer.setRenderTarget(null);
+    renderer.setClearColor(previousClear, previousAlpha);
+
+    if (alphaMode === 'luma-matte' && !matteCanvas) {
+      matteCanvas = document.createElement('canvas');
+      matteCanvas.width = w;
+      matteCanvas.height = h;
+      matteCtx = matteCanvas.getContext('2d');
+      matteImage = matteCtx.createImageData(w, h);
+    }
+
+    // WebGL rows run bottom-up; ImageData is top-down
+    const data = image.data;
+    const matte = alphaMode === 'luma-matte' ? matteImage.data : null;
+    const row = w * 4;
+    for (let y = 0; y < h; y++) {
+      const src = (h - 1 - y) * row;
+      const dst = y * row;
+      for (let x = 0; x < row; x += 4) {
+        const a = pixels[src + x + 3];
+        const scale = alphaMode === 'straight' && a > 0 && a < 255 ? 255 / a : 1;
+        data[dst + x] = pixels[src + x] * scale;
+        data[dst + x + 1] = pixels[src + x + 1] * scale;
+        data[dst + x + 2] = pixels[src + x + 2] * scale;
+        data[dst + x + 3] = matte ? 255 : a;
+        if (matte) {
+          matte[dst + x] = matte[dst + x + 1] = matte[dst + x + 2] = a;
+          matte[dst + x + 3] = 255;
+        }
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+    if (matte) matteCtx.putImageData(matteImage, 0, 0);
+  }
+
+  function dispose() {
+    target.dispose();
+  }
+
+  return {
+    canvas,
+    get matteCanvas() { return matteCanvas; },
+    width: w,
+    height: h,
+    render,
+    dispose
+  };
+}
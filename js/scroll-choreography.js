@@ -0,0 +1,99 @@
+// scroll-choreography.js — Which particle state each page section asks for in neue-scroll
+//
+// Section progress is the section's journey through the viewport: 0% when its top touches the
+// bottom of the viewport, 100% when its bottom leaves the top. A section is active while
+// enter <= progress <= exit; the first active section in list order wins, and with none active
+// the `idle` state applies (particles disperse). The data is plain JSON-compatible, so a section
+// is added or retimed here without touching the engine.
+// mode 'trigger' — entering the window starts the move; particles finish it on their own clock
+// mode 'scrub'   — formation (0..1) is a function of progress: it ramps up over the `ramp`% before
+//                  `enter`, holds until `exit` and ramps down over the `ramp`% after it, so
+//                  scrolling back reverses it. Neighbouring ramps should not overlap: the
+//                  sequence switches to the most-formed section.
+//   selector          — CSS selector of the section element
+//   enter / exit      — active window, in % of the section's journey
+//   sequence          — index into SEQUENCE_URLS to form, or null to keep the current one
+//   movePercentage    — 0..1 share of particles moving to the target
+//   visiblePercentage — 0..1 share of particles visible
+
+export const CHOREOGRAPHY_MODES = ['trigger', 'scrub'];
+
+export const SCROLL_CHOREOGRAPHY = {
+  mode: 'trigger',
+  ramp: 10, // Scrub ramp length, in % of a section's journey (a section may override it)
+  idle: { movePercentage: 0.0, visiblePercentage: 0.22, sequence: null },
+  sections: [
+    { selector: '#hero', enter: 40, exit: 60, sequence: 1, movePercentage: 1.0, visiblePercentage: 1.0 },
+    { selector: '#section-2', enter: 40, exit: 60, sequence: 2, movePercentage: 1.0, visiblePercentage: 1.0 },
+    { selector: '#section-3', enter: 40, exit: 60, sequence: 3, movePercentage: 1.0, visiblePercentage: 1.0 },
+    { selector: '#section-4', enter: 40, exit: 60, sequence: 4, movePercentage: 1.0, visiblePercentage: 1.0 }
+  ]
+};
+
+const SECTION_DEFAULTS = { enter: 40, exit: 60, sequence: null, movePercentage: 1.0, visiblePercentage: 1.0 };
+
+// Fill in defaults so a config (e.g. from JSON) only has to list what differs
+export function parseChoreography(data) {
+  if (!data || !Array.isArray(data.sections)) throw new Error('Invalid scroll choreography');
+  const ramp = data.ramp >= 0 ? data.ramp : SCROLL_CHOREOGRAPHY.ramp;
+  return {
+    mode: CHOREOGRAPHY_MODES.includes(data.mode) ? data.mode : 'trigger',
+    ramp,
+    idle: { ...SCROLL_CHOREOGRAPHY.idle, ...(data.idle || {}) },
+    sections: data.sections.map(section => {
+      if (typeof section.selector !== 'string') throw new Error('Scroll choreography section needs a selector');
+      return { ...SECTION_DEFAULTS, ramp, ...section };
+    })
+  };
+}
+
+// 0..100 progress of a section's bounding rect through a viewport of the given height
+export function sectionProgress(rect, viewportHeight) {
+  const totalJourney = viewportHeight + rect.height;
+  const traveledDistance = viewportHeight - rect.top;
+  return Math.max(0, Math.min(100, (traveledDistance / totalJourney) * 100));
+}
+
+// Scrub-mode formation (0..1) of a section at `progress`
+export function sectionFormation(section, progress) {
+  if (progress >= section.enter && progress <= section.exit) return 1;
+  if (!(section.ramp > 0)) return 0;
+  const distance = progress < section.enter ? section.enter - progress : progress - section.exit;
+  return Math.max(0, 1 - distance / section.ramp);
+}
+
+// Progress of a section straight from the DOM (one layout read per call)
+export function measureSection(section) {
+  const element = document.querySelector(section.selector);
+  return element ? sectionProgress(element.getBoundingClientRect(), window.innerHeight) : null;
+}
+
+// { state, target, formation, sections: [{ section, progress, formation, active }] }
+// progressOf(section, index) returns the section's 0..100 progress, or null when the section is
+// missing from the page (it is then skipped); neue-scroll reads it from a section tracker.
+// state is the active section's selector or 'idle'; target is the entry to apply and formation
+// how far its move has got (trigger mode: 1 while a section is active).
+export function evaluateChoreography(choreography, progressOf = measureSection) {
+  const scrub = choreography.mode === 'scrub';
+  let active = null, best = 0;
+  const sections = choreography.sections.map((section, i) => {
+    const progress = progressOf(section, i);
+    if (progress === null) return { section, progress, formation: 0, active: false };
+    const formation = scrub ? sectionFormation(section, progress) : progress >= section.enter && progress <= section.exit ? 1 : 0;
+    return { section, progress, formation, active: false };
+  });
+  // First section wins ties, so trigger mode keeps list order
+  for (const entry of sections) {
+    if (entry.formation > best) {
+      active = entry;
+      best = entry.formation;
+    }
+  }
+  if (active) active.active = true;
+  return {
+    state: active ? active.section.selector : 'idle',
+    target: active ? active.section : choreography.idle,
+    formation: best,
+    sections
+  };
+}
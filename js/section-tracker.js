@@ -0,0 +1,123 @@
+// section-tracker.js — Scroll progress of page sections without per-scroll layout reads
+//
+// Section geometry (document-relative top and height) is cached and only re-measured when a
+// ResizeObserver sees a section or the page change size, so progress is plain arithmetic on
+// scrollY. An IntersectionObserver keeps the set of sections in the viewport; scroll events
+// only compute progress for those. Progress runs 0..1: 0 when the section's top touches the
+// bottom of the viewport, 1 when its bottom leaves the top.
+// Events (tracker.on(type, fn) returns an unsubscribe function):
+//   enter / leave — { index, element, progress } as a section starts / stops intersecting
+//   progress      — { index, element, progress } per visible section on every scroll
+//   update        — once after each scroll's progress events, and after geometry changes
+
+export const DEFAULT_THRESHOLDS = Array.from({ length: 11 }, (_, i) => i / 10);
+
+const EVENTS = ['enter', 'leave', 'progress', 'update'];
+
+// elements may contain nulls (sections missing from the page); those never report progress
+export function createSectionTracker(elements, { thresholds = DEFAULT_THRESHOLDS } = {}) {
+  const listeners = Object.fromEntries(EVENTS.map(type => [type, new Set()]));
+  const geometry = elements.map(() => ({ top: 0, height: 0 }));
+  const visible = new Set();
+  let viewportHeight = window.innerHeight;
+
+  function emit(type, detail) {
+    listeners[type].forEach(fn => fn(detail));
+  }
+
+  function measure() {
+    viewportHeight = window.innerHeight;
+    elements.forEach((element, i) => {
+      if (!element) return;
+      const rect = element.getBoundingClientRect();
+      geometry[i].top = rect.top + window.scrollY;
+      geometry[i].height = rect.height;
+    });
+  }
+
+  function progress(index) {
+    if (!elements[index]) return null;
+    const { top, height } = geometry[index];
+    const raw = (viewportHeight - (top - window.scrollY)) / (viewportHeight + height);
+    return Math.max(0, Math.min(1, raw));
+  }
+
+  // scrollY at which section `index` shows `progress` (0..1), clamped to the scrollable range
+  function scrollForProgress(index, progress) {
+    const { top, height } = geometry[index];
+    const maxScroll = document.documentElement.scrollHeight - viewportHeight;
+    return Math.max(0, Math.min(maxScroll, top - viewportHeight + progress * (viewportHeight + height)));
+  }
+
+  // Index of the section whose centre is nearest the viewport centre (-1 if none)
+  function closest() {
+    const centerY = window.scrollY + viewportHeight / 2;
+    let best = -1, bestDist = Infinity;
+    elements.forEach((element, i) => {
+      if (!element) return;
+      const d = Math.abs(geometry[i].top + geometry[i].height / 2 - centerY);
+      if (d < bestDist) { bestDist = d; best = i; }
+    });
+    return best;
+  }
+
+  const entryOf = index => ({ index, element: elements[index], progress: progress(index) });
+
+  function onScroll() {
+    visible.forEach(index => emit('progress', entryOf(index)));
+    emit('update');
+  }
+
+  const intersection = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+      const index = elements.indexOf(entry.target);
+      // Leave the geometry alone: the entry's rect is from when it was queued, so adding the
+      // current scrollY to it would be off by however far the page has scrolled since
+      if (entry.isIntersecting && !visible.has(index)) {
+        visible.add(index);
+        emit('enter', entryOf(index));
+      } else if (!entry.isIntersecting && visible.has(index)) {
+        visible.delete(index);
+        emit('leave', entryOf(index));
+      }
+    });
+  }, { threshold: thresholds });
+
+  const resize = new ResizeObserver(() => {
+    measure();
+    emit('update');
+  });
+
+  measure();
+  elements.forEach(element => {
+    if (!element) return;
+    intersection.observe(element);
+    resize.observe(element);
+  });
+  resize.observe(document.documentElement); // Content above a section can move it
+  window.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('resize', measure);
+
+  function on(type, fn) {
+    listeners[type].add(fn);
+    return () => listeners[type].delete(fn);
+  }
+
+  function disconnect() {
+    intersection.disconnect();
+    resize.disconnect();
+    window.removeEventListener('scroll', onScroll);
+    window.removeEventListener('resize', measure);
+  }
+
+  return {
+    elements,
+    on,
+    progress,
+    scrollForProgress,
+    closest,
+    isVisible: index => visible.has(index),
+    refresh: measure,
+    disconnect
+  };
+}
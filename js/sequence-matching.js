@@ -0,0 +1,133 @@
+// sequence-matching.js — Particle-to-target correspondence between consecutive sequences
+//
+// Every interpolated sequence has the same particle count, and particle i of one step morphs
+// into particle i of the next. Without matching that pairing is arbitrary and morphs look like
+// explosions; these solvers reorder each step so particles travel short distances instead.
+//   'greedy'  — nearest free target per particle (spatial hash, random visiting order); searches
+//               stop at `reach`, leftovers are paired along the Hilbert curve like 'spatial'
+//   'spatial' — both steps sorted along a Hilbert curve and paired by rank (fast, approximate)
+//   'none'    — keep file order
+
+import { createPointGrid } from './point-grid.js';
+
+export const MATCHING_METHODS = ['greedy', 'spatial', 'none'];
+
+// Per-particle arrays of an interpolated sequence and their component counts
+const CHANNELS = [['uvs', 2], ['colors', 4], ['sourceColors', 4], ['depths', 1], ['sizes', 1], ['groups', 1], ['normals', 3]];
+
+// Reorders sequences[1..] in place so each step lines up with the one before it
+export function matchSequences(sequences, { method = 'greedy', aspect = 1, seed = 1, reach = 0.1 } = {}) {
+  if (method === 'none') return sequences;
+  for (let s = 1; s < sequences.length; s++) {
+    const order = method === 'spatial'
+      ? matchSpatial(sequences[s - 1], sequences[s], aspect)
+      : matchGreedy(sequences[s - 1], sequences[s], aspect, seed + s, reach);
+    permuteSequence(sequences[s], order);
+  }
+  return sequences;
+}
+
+// Total squared uv travel between two steps (handy for comparing methods in DevTools)
+export function travelCost(a, b, aspect = 1) {
+  let sum = 0;
+  for (let i = 0; i < a.count; i++) {
+    const dx = (a.uvs[i * 2] - b.uvs[i * 2]) * aspect;
+    const dy = a.uvs[i * 2 + 1] - b.uvs[i * 2 + 1];
+    sum += dx * dx + dy * dy;
+  }
+  return sum;
+}
+
+function scaledPositions(seq, aspect) {
+  const xs = new Float32Array(seq.count), ys = new Float32Array(seq.count);
+  for (let i = 0; i < seq.count; i++) {
+    xs[i] = seq.uvs[i * 2] * aspect;
+    ys[i] = seq.uvs[i * 2 + 1];
+  }
+  return [xs, ys];
+}
+
+// order[i] = index in `to` that particle i of `from` should travel to
+function matchGreedy(from, to, aspect, seed, reach) {
+  const [fx, fy] = scaledPositions(from, aspect);
+  const [tx, ty] = scaledPositions(to, aspect);
+  const grid = createPointGrid(tx, ty);
+  const order = new Int32Array(from.count);
+
+  // Random visiting order so no region of the image always gets first pick
+  const visit = Array.from({ length: from.count }, (_, i) => i);
+  let x = seed;
+  for (let i = visit.length - 1; i > 0; i--) {
+    x = (x * 16807) % 2147483647;
+    const j = x % (i + 1);
+    [visit[i], visit[j]] = [visit[j], visit[i]];
+  }
+
+  // Capped searches keep this linear-ish; far-away leftovers would otherwise scan the whole grid
+  const taken = new Uint8Array(to.count);
+  const leftover = [];
+  for (const i of visit) {
+    const j = grid.nearest(fx[i], fy[i], reach);
+    if (j === -1) { leftover.push(i); continue; }
+    order[i] = j;
+    taken[j] = 1;
+    grid.remove(j);
+  }
+
+  if (leftover.length) {
+    const free = [];
+    for (let j = 0; j < to.count; j++) if (!taken[j]) free.push(j);
+    pairByRank(order, hilbertOrder(from, aspect, leftover), hilbertOrder(to, aspect, free));
+  }
+  return order;
+}
+
+function matchSpatial(from, to, aspect) {
+  const order = new Int32Array(from.count);
+  pairByRank(order, hilbertOrder(from, aspect), hilbertOrder(to, aspect));
+  return order;
+}
+
+function pairByRank(order, fromRank, toRank) {
+  for (let k = 0; k < fromRank.length; k++) order[fromRank[k]] = toRank[k];
+}
+
+// Particle indices (all, or the given subset) sorted along a 16-bit Hilbert curve
+function hilbertOrder(seq, aspect, indices = Array.from({ length: seq.count }, (_, i) => i)) {
+  const n = 1 << 16;
+  const scale = (n - 1) / Math.max(aspect, 1);
+  const keys = new Float64Array(seq.count);
+  for (const i of indices) {
+    const x = Math.min(n - 1, Math.max(0, Math.floor(seq.uvs[i * 2] * aspect * scale)));
+    const y = Math.min(n - 1, Math.max(0, Math.floor(seq.uvs[i * 2 + 1] * scale)));
+    keys[i] = hilbertIndex(n, x, y);
+  }
+  return Int32Array.from(indices).sort((a, b) => keys[a] - keys[b]);
+}
+
+function hilbertIndex(n, x, y) {
+  let d = 0;
+  for (let s = n >> 1; s > 0; s >>= 1) {
+    const rx = (x & s) > 0 ? 1 : 0;
+    const ry = (y & s) > 0 ? 1 : 0;
+    d += s * s * ((3 * rx) ^ ry);
+    // Rotate the quadrant so the curve stays continuous
+    if (ry === 0) {
+      if (rx === 1) { x = n - 1 - x; y = n - 1 - y; }
+      [x, y] = [y, x];
+    }
+  }
+  return d;
+}
+
+function permuteSequence(seq, order) {
+  for (const [key, size] of CHANNELS) {
+    const src = seq[key];
+    if (!src) continue;
+    const dst = new src.constructor(src.length);
+    for (let i = 0; i < order.length; i++) {
+      for (let c = 0; c < size; c++) dst[i * size + c] = src[order[i] * size + c];
+    }
+    seq[key] = dst;
+  }
+}
@@ -0,0 +1,258 @@
+// timeline-panel.js — Docked timeline / curve editor for the neue-gui keyframe animation
+//
+// Draws a keyframe-timeline.js timeline on a 2D canvas: a seconds ruler, one diamond per
+// keyframe, the playhead and the eased curve of the selected parameter. Dragging the
+// playhead scrubs, dragging a diamond retimes that keyframe (its neighbours stay put).
+// With the panel focused: ←/→ nudge the selected keyframe by a 30fps frame (Shift: 0.25s),
+// [ / ] select the previous/next keyframe, Home/End move the playhead to the start/end.
+
+import { timelineDuration, keyframeTime, keyframeLabel, locateTime, segmentProgress, retimeKeyframe } from './keyframe-timeline.js';
+
+const NUDGE = 1 / 30;
+const NUDGE_COARSE = 0.25;
+const PAD = 12; // Horizontal padding so the end diamonds are not cut off
+const RULER_HEIGHT = 18;
+const DIAMOND_Y = 32;
+const DIAMOND_SIZE = 6;
+
+const COLORS = {
+  background: '#15161a',
+  ruler: '#8a8f98',
+  grid: 'rgba(255,255,255,0.06)',
+  segment: 'rgba(255,255,255,0.04)',
+  diamond: '#c9ccd3',
+  selected: '#ffcc44',
+  playhead: '#ff5a5a',
+  curve: '#44ff88'
+};
+
+// host: {
+//   getKeyframes() → keyframes, getSelected() → index, getTime() → playhead seconds,
+//   onScrub(time), onSelect(index), onRetime() (after a drag or nudge), curveParams: [keys]
+// }
+export function createTimelinePanel(container, host) {
+  const element = document.createElement('div');
+  element.className = 'timeline-panel';
+  element.tabIndex = 0;
+
+  const header = document.createElement('div');
+  header.className = 'timeline-header';
+  const title = document.createElement('span');
+  title.textContent = 'Timeline';
+  const curveSelect = document.createElement('select');
+  ['(no curve)', ...host.curveParams].forEach((key, i) => {
+    const option = document.createElement('option');
+    option.value = i === 0 ? '' : key;
+    option.textContent = key;
+    curveSelect.appendChild(option);
+  });
+  const timeLabel = document.createElement('span');
+  timeLabel.className = 'timeline-time';
+  header.append(title, curveSelect, timeLabel);
+
+  const canvas = document.createElement('canvas');
+  element.append(header, canvas);
+  container.appendChild(element);
+  const ctx = canvas.getContext('2d');
+
+  let curveParam = '';
+  let drag = null; // { type: 'playhead' } | { type: 'keyframe', index, total, moved }
+
+  const totalDuration = () => Math.max(timelineDuration(host.getKeyframes()), 1e-3);
+  const width = () => canvas.clientWidth;
+  const timeToX = (time, total = totalDuration()) => PAD + (time / total) * (width() - PAD * 2);
+  const xToTime = (x, total = totalDuration()) =>
+    Math.max(0, Math.min(total, ((x - PAD) / Math.max(width() - PAD * 2, 1)) * total));
+
+  function hitKeyframe(x, y) {
+    if (Math.abs(y - DIAMOND_Y) > DIAMOND_SIZE + 4) return -1;
+    const keyframes = host.getKeyframes();
+    let hit = -1, best = DIAMOND_SIZE + 4;
+    keyframes.forEach((_, i) => {
+      const distance = Math.abs(timeToX(keyframeTime(keyframes, i)) - x);
+      if (distance <= best) { best = distance; hit = i; }
+    });
+    return hit;
+  }
+
+  function localPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  canvas.addEventListener('pointerdown', event => {
+    const { x, y } = localPoint(event);
+    canvas.setPointerCapture(event.pointerId);
+    element.focus();
+    const index = hitKeyframe(x, y);
+    if (index >= 0) {
+      host.onSelect(index);
+      drag = { type: 'keyframe', index, total: totalDuration(), moved: false };
+    } else {
+      drag = { type: 'playhead' };
+      host.onScrub(xToTime(x));
+    }
+    draw();
+  });
+
+  canvas.addEventListener('pointermove', event => {
+    if (!drag) return;
+    const { x } = localPoint(event);
+    if (drag.type === 'playhead') {
+      host.onScrub(xToTime(x));
+    } else if (drag.index > 0) {
+      // Keep the scale of the drag start so the diamond stays under the pointer
+      retimeKeyframe(host.getKeyframes(), drag.index, xToTime(x, drag.total));
+      drag.moved = true;
+    }
+    draw();
+  });
+
+  const endDrag = () => {
+    if (drag && drag.type === 'keyframe' && drag.moved) host.onRetime();
+    drag = null;
+    draw();
+  };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+
+  element.addEventListener('keydown', event => {
+    if (event.target === curveSelect) return;
+    const keyframes = host.getKeyframes();
+    const selected = host.getSelected();
+    let handled = true;
+    if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+      const step = (event.shiftKey ? NUDGE_COARSE : NUDGE) * (event.key === 'ArrowLeft' ? -1 : 1);
+      if (selected > 0) {
+        retimeKeyframe(keyframes, selected, keyframeTime(keyframes, selected) + step);
+        host.onRetime();
+      }
+    } else if (event.key === '[' || event.key === ']') {
+      const index = selected + (event.key === '[' ? -1 : 1);
+      if (index >= 0 && index < keyframes.length) host.onSelect(index);
+    } else if (event.key === 'Home') {
+      host.onScrub(0);
+    } else if (event.key === 'End') {
+      host.onScrub(timelineDuration(keyframes));
+    } else {
+      handled = false;
+    }
+    if (handled) {
+      // Keep the arrows and brackets away from lil-gui and the page
+      event.preventDefault();
+      event.stopPropagation();
+      draw();
+    }
+  });
+
+  curveSelect.addEventListener('change', () => {
+    curveParam = curveSelect.value;
+    draw();
+  });
+
+  // Value of a numeric param at `time`, eased the same way playback interpolates it
+  function sampleCurve(keyframes, key, time) {
+    const { from, to, t } = locateTime(keyframes, time);
+    const a = keyframes[from].params[key], b = keyframes[to].params[key];
+    if (typeof a !== 'number' || typeof b !== 'number') return typeof a === 'number' ? a : b;
+    return a + (b - a) * segmentProgress(keyframes[to], key, t);
+  }
+
+  function drawCurve(keyframes, total, top, bottom) {
+    const w = width();
+    const samples = [];
+    for (let x = PAD; x <= w - PAD; x += 2) samples.push(sampleCurve(keyframes, curveParam, xToTime(x, total)));
+    const values = samples.filter(v => typeof v === 'number');
+    if (values.length === 0) return;
+    let min = Math.min(...values), max = Math.max(...values);
+    if (max - min < 1e-9) { min -= 0.5; max += 0.5; }
+    const valueToY = v => bottom - ((v - min) / (max - min)) * (bottom - top);
+
+    ctx.strokeStyle = COLORS.curve;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let started = false;
+    samples.forEach((v, i) => {
+      if (typeof v !== 'number') { started = false; return; }
+      const x = PAD + i * 2, y = valueToY(v);
+      if (started) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+      started = true;
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = COLORS.ruler;
+    ctx.textAlign = 'left';
+    ctx.fillText(max.toFixed(3), PAD + 2, top + 9);
+    ctx.fillText(min.toFixed(3), PAD + 2, bottom - 2);
+  }
+
+  function draw() {
+    if (element.hidden) return;
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+      canvas.width = Math.round(w * dpr);
+      canvas.height = Math.round(h * dpr);
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.font = '10px system-ui, sans-serif';
+
+    const keyframes = host.getKeyframes();
+    const total = drag && drag.type === 'keyframe' ? drag.total : totalDuration();
+    const selected = host.getSelected();
+
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, w, h);
+
+    // Alternate segment shading
+    for (let i = 1; i < keyframes.length; i += 2) {
+      const x0 = timeToX(keyframeTime(keyframes, i - 1), total), x1 = timeToX(keyframeTime(keyframes, i), total);
+      ctx.fillStyle = COLORS.segment;
+      ctx.fillRect(x0, RULER_HEIGHT, x1 - x0, h - RULER_HEIGHT);
+    }
+
+    // Ruler: a tick every second (every 5s on long timelines)
+    const step = total > 30 ? 5 : 1;
+    ctx.textAlign = 'center';
+    for (let s = 0; s <= total + 1e-6; s += step) {
+      const x = timeToX(s, total);
+      ctx.fillStyle = COLORS.grid;
+      ctx.fillRect(x, RULER_HEIGHT, 1, h - RULER_HEIGHT);
+      ctx.fillStyle = COLORS.ruler;
+      ctx.fillText(`${s}s`, x, 12);
+    }
+
+    if (curveParam) drawCurve(keyframes, total, DIAMOND_Y + DIAMOND_SIZE + 6, h - 6);
+
+    // Keyframe diamonds
+    keyframes.forEach((keyframe, i) => {
+      const x = timeToX(keyframeTime(keyframes, i), total);
+      ctx.fillStyle = i === selected ? COLORS.selected : COLORS.diamond;
+      ctx.beginPath();
+      ctx.moveTo(x, DIAMOND_Y - DIAMOND_SIZE);
+      ctx.lineTo(x + DIAMOND_SIZE, DIAMOND_Y);
+      ctx.lineTo(x, DIAMOND_Y + DIAMOND_SIZE);
+      ctx.lineTo(x - DIAMOND_SIZE, DIAMOND_Y);
+      ctx.closePath();
+      ctx.fill();
+    });
+
+    // Playhead
+    const time = Math.min(host.getTime(), total);
+    const playheadX = timeToX(time, total);
+    ctx.fillStyle = COLORS.playhead;
+    ctx.fillRect(playheadX - 0.5, 0, 1.5, h);
+
+    timeLabel.textContent = `${time.toFixed(2)}s / ${timelineDuration(keyframes).toFixed(2)}s · ${keyframeLabel(keyframes, selected)}`;
+  }
+
+  return {
+    element,
+    draw,
+    get visible() { return !element.hidden; },
+    set visible(v) {
+      element.hidden = !v;
+      draw();
+    }
+  };
+}
@@ -0,0 +1,138 @@
+// timing.js — Shared time model: seconds everywhere, clamped frame deltas and easing curves
+//
+// Durations used to be "frames at 60fps" scaled by deltaTime * 60, which drifts on 120Hz
+// displays and explodes after a throttled background tab resumes. Everything now runs on
+// createFrameClock() deltas (seconds) and the curves below.
+
+// Legacy configs store durations in frames at this rate
+export const REFERENCE_FPS = 60;
+
+export const framesToSeconds = (frames) => frames / REFERENCE_FPS;
+
+// Names double as GUI options; the index is what the shaders receive (see EASING_GLSL)
+export const EASING_NAMES = ['linear', 'smoothstep', 'cubic', 'expo', 'sine', 'back', 'elastic'];
+
+export const EASINGS = {
+  linear: t => t,
+  smoothstep: t => t * t * (3 - 2 * t),
+  cubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  expo: t => (t <= 0 ? 0 : t >= 1 ? 1 : t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2),
+  sine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+  back: t => {
+    const c = 1.70158 * 1.525;
+    return t < 0.5
+      ? (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2
+      : (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2;
+  },
+  // Ease-out with a decaying overshoot wobble
+  elastic: t => (t <= 0 ? 0 : t >= 1 ? 1 : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI / 3)) + 1)
+};
+
+// Clamped to 0..1 before easing
+export function ease(name, t) {
+  const fn = EASINGS[name] || EASINGS.smoothstep;
+  return fn(Math.max(0, Math.min(1, t)));
+}
+
+// Same curves for the vertex shaders, selected by EASING_NAMES index
+export const EASING_GLSL = `
+    float easeCurve(int curve, float t) {
+      t = clamp(t, 0.0, 1.0);
+      if (curve == 0) return t;
+      if (curve == 2) return t < 0.5 ? 4.0 * t * t * t : 1.0 - pow(-2.0 * t + 2.0, 3.0) / 2.0;
+      if (curve == 3) {
+        if (t <= 0.0 || t >= 1.0) return t;
+        return t < 0.5 ? pow(2.0, 20.0 * t - 10.0) / 2.0 : (2.0 - pow(2.0, -20.0 * t + 10.0)) / 2.0;
+      }
+      if (curve == 4) return -(cos(3.14159265 * t) - 1.0) / 2.0;
+      if (curve == 5) {
+        float c = 1.70158 * 1.525;
+        return t < 0.5
+          ? (pow(2.0 * t, 2.0) * ((c + 1.0) * 2.0 * t - c)) / 2.0
+          : (pow(2.0 * t - 2.0, 2.0) * ((c + 1.0) * (t * 2.0 - 2.0) + c) + 2.0) / 2.0;
+      }
+      if (curve == 6) {
+        if (t <= 0.0 || t >= 1.0) return t;
+        return pow(2.0, -10.0 * t) * sin((t * 10.0 - 0.75) * 2.0943951) + 1.0;
+      }
+      return t * t * (3.0 - 2.0 * t);
+    }
+`;
+
+export const easingIndex = (name) => Math.max(0, EASING_NAMES.indexOf(name));
+
+// CSS-style cubic-bezier(x1, y1, x2, y2) timing function (x1, x2 clamped to 0..1)
+export function cubicBezier(x1, y1, x2, y2) {
+  x1 = Math.max(0, Math.min(1, x1));
+  x2 = Math.max(0, Math.min(1, x2));
+  const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+  const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+  const curveX = s => ((ax * s + bx) * s + cx) * s;
+  const curveY = s => ((ay * s + by) * s + cy) * s;
+  const slopeX = s => (3 * ax * s + 2 * bx) * s + cx;
+
+  return (t) => {
+    if (t <= 0) return 0;
+    if (t >= 1) return 1;
+    // Newton steps first, bisection when the slope is too flat
+    let s = t;
+    for (let i = 0; i < 8; i++) {
+      const dx = curveX(s) - t;
+      if (Math.abs(dx) < 1e-6) return curveY(s);
+      const slope = slopeX(s);
+      if (Math.abs(slope) < 1e-6) break;
+      s -= dx / slope;
+    }
+    let lo = 0, hi = 1;
+    s = t;
+    while (hi - lo > 1e-6) {
+      if (curveX(s) < t) lo = s; else hi = s;
+      s = (lo + hi) / 2;
+    }
+    return curveY(s);
+  };
+}
+
+// Exponential approach towards target that covers the same ground at any frame rate;
+// smoothTime is the time constant in seconds (~63% of the gap closed per smoothTime)
+export function damp(current, target, smoothTime, deltaTime) {
+  if (smoothTime <= 0) return target;
+  return target + (current - target) * Math.exp(-deltaTime / smoothTime);
+}
+
+// Frame deltas in seconds. The first frame and the first frame after the tab becomes visible
+// again report 0, and every delta is capped at maxDelta so a long stall can't skip transitions.
+// The cap sits well above slow frames (a 10fps device still runs in real time); resuming a
+// hidden tab is handled by the visibility reset, not the cap.
+export function createFrameClock({ maxDelta = 0.25 } = {}) {
+  let last = null;
+  let elapsed = 0;
+
+  if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') last = null;
+    });
+  }
+
+  function tick(now = performance.now()) {
+    const delta = last === null ? 0 : Math.min(Math.max((now - last) / 1000, 0), maxDelta);
+    last = now;
+    elapsed += delta;
+    return delta;
+  }
+
+  return { tick, get elapsed() { return elapsed; } };
+}
+
+// Rewrites legacy frame-count keys of a loaded config in place, e.g.
+// { fadeSpeedMin: 30 } with { fadeSpeedMin: 'fadeTimeMin' } becomes { fadeTimeMin: 0.5 }.
+// Keys already present under their new name win.
+export function migrateFrameParams(config, keyMap) {
+  if (!config) return config;
+  for (const [legacy, key] of Object.entries(keyMap)) {
+    if (!(legacy in config)) continue;
+    if (!(key in config) && typeof config[legacy] === 'number') config[key] = framesToSeconds(config[legacy]);
+    delete config[legacy];
+  }
+  return config;
+}
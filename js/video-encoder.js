@@ -0,0 +1,96 @@
+// video-encoder.js — WebCodecs video encoding with exact frame timestamps
+//
+// Each frame is read from a canvas and stamped frame × 1/fps (in µs) before VideoEncoder sees
+// it, so the file's timing never depends on how long a frame took to render. Chunks are muxed
+// in the browser by mp4-muxer (H.264) or webm-muxer (VP9/VP8), loaded from the CDN on first use.
+// Callers keep MediaRecorder as the fallback when isVideoEncoderSupported() is false or
+// createVideoEncoder() rejects.
+
+export const VIDEO_CONTAINERS = ['mp4', 'webm'];
+
+const MUXER_URLS = {
+  mp4: 'https://cdn.jsdelivr.net/npm/mp4-muxer@5.2.2/+esm',
+  webm: 'https://cdn.jsdelivr.net/npm/webm-muxer@5.1.4/+esm'
+};
+
+// WebCodecs codec string → muxer codec id, best first (H.264 level 5.2 covers 4K60)
+const CODECS = {
+  mp4: [
+    { codec: 'avc1.640034', muxer: 'avc' },
+    { codec: 'avc1.4d0034', muxer: 'avc' },
+    { codec: 'avc1.42e034', muxer: 'avc' }
+  ],
+  webm: [
+    { codec: 'vp09.00.51.08', muxer: 'V_VP9' },
+    { codec: 'vp8', muxer: 'V_VP8' }
+  ]
+};
+
+const MAX_QUEUE = 8; // Frames waiting in the encoder before addFrame() waits
+
+export const isVideoEncoderSupported = () =>
+  typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+
+// Rejects when no codec of the container is supported at this size or the muxer can't load
+export async function createVideoEncoder({ container = 'mp4', width, height, fps, bitrate }) {
+  bitrate = bitrate || Math.round(width * height * fps * 0.15);
+
+  let choice = null;
+  for (const candidate of CODECS[container] || []) {
+    const { supported } = await VideoEncoder.isConfigSupported({ codec: candidate.codec, width, height, bitrate, framerate: fps });
+    if (supported) {
+      choice = candidate;
+      break;
+    }
+  }
+  if (!choice) throw new Error(`No ${container} encoder for ${width}×${height} in this browser`);
+
+  const { Muxer, ArrayBufferTarget } = await import(MUXER_URLS[container]);
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: choice.muxer, width, height, frameRate: fps },
+    ...(container === 'mp4' ? { fastStart: 'in-memory' } : {})
+  });
+
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: e => { failure = e; }
+  });
+  encoder.configure({
+    codec: choice.codec,
+    width,
+    height,
+    bitrate,
+    framerate: fps,
+    latencyMode: 'quality',
+    ...(container === 'mp4' ? { avc: { format: 'avc' } } : {})
+  });
+
+  const frameDuration = 1e6 / fps;
+
+  async function addFrame(source, index) {
+    if (failure) throw failure;
+    const frame = new VideoFrame(source, {
+      timestamp: Math.round(index * frameDuration),
+      duration: Math.round(frameDuration)
+    });
+    // A keyframe every two seconds keeps the file seekable
+    encoder.encode(frame, { keyFrame: index % Math.max(1, Math.round(fps * 2)) === 0 });
+    frame.close();
+    while (encoder.encodeQueueSize > MAX_QUEUE) await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  async function finish() {
+    await encoder.flush();
+    if (failure) throw failure;
+    muxer.finalize();
+    return new Blob([muxer.target.buffer], { type: container === 'mp4' ? 'video/mp4' : 'video/webm' });
+  }
+
+  function close() {
+    if (encoder.state !== 'closed') encoder.close();
+  }
+
+  return { codec: choice.codec, addFrame, finish, close };
+}
@@ -1,14 +1,187 @@
-
 #!/usr/bin/env python3
-import argparse, os, struct, hashlib
+import argparse, os, struct, hashlib, math, random, zlib
 from PIL import Image, ImageDraw
 
 MAGIC = 0x43454C31  # 'CEL1'
+MAGIC_V2 = 0x43454C32  # 'CEL2'
+MAGIC_V3 = 0x43454C33  # 'CEL3' (packed)
 HEADER_FMT = "<I I H H H H"  # magic,count,wCells,hCells,block,flags
 ENTRY_FMT  = "<ffBBBB"       # uvx,uvy,r,g,b,a
 
+# CEL2 optional channels, appended to each entry in bit order
+FLAG_DEPTH  = 1 << 0  # f32 z depth
+FLAG_SIZE   = 1 << 1  # f32 size weight
+FLAG_GROUP  = 1 << 2  # u16 group/layer id
+FLAG_NORMAL = 1 << 3  # 3 x i8 snorm normal
+CHANNEL_FMT = [(FLAG_DEPTH, "<f"), (FLAG_SIZE, "<f"), (FLAG_GROUP, "<H"), (FLAG_NORMAL, "<bbb")]
+
+# CEL3 packing, high bits of the same flags field
+PACK_PALETTE = 1 << 8  # u8 index into an RGBA palette instead of 4 bytes per cell
+PACK_DELTA   = 1 << 9  # quantized uv columns stored as 16-bit wrapping deltas
+PACK_DEFLATE = 1 << 10 # everything after the header is one zlib stream
+
 def luma(r,g,b): return 0.2126*r + 0.7152*g + 0.0722*b
 
+def load_aux(path, img, labels=False):
+    # Auxiliary maps are matched to the (cropped) source image; labels are never filtered
+    aux = Image.open(path)
+    if not labels: aux = aux.convert("L")
+    elif aux.mode != "P": aux = aux.convert("RGB")
+    w,h = img.size
+    if aux.size != (w,h): aux = aux.resize((w,h), Image.NEAREST if labels else Image.BILINEAR)
+    return aux
+
+def block_mean(px, ix, jy, bs):
+    total = 0
+    for y in range(jy*bs, jy*bs+bs):
+        for x in range(ix*bs, ix*bs+bs):
+            total += px[x,y]
+    return total / (bs*bs)
+
+def group_ids(img, wC, hC, bs):
+    # Palette images keep their index; anything else gets ids in order of first appearance
+    px = img.load()
+    palette = img.mode == "P"
+    seen = {}
+    ids = [[0]*wC for _ in range(hC)]
+    for jy in range(hC):
+        for ix in range(wC):
+            key = px[ix*bs + bs//2, jy*bs + bs//2]
+            if palette:
+                ids[jy][ix] = key
+            else:
+                if key not in seen: seen[key] = len(seen)
+                ids[jy][ix] = seen[key]
+    return ids
+
+def build_palette(entries, size):
+    # Quantize the cell colours (not the image) so the palette is spent where particles are
+    strip = Image.new("RGBA", (len(entries), 1))
+    strip.putdata([(R,G,B,A) for (_,_,R,G,B,A,_) in entries])
+    q = strip.quantize(colors=size, method=Image.Quantize.FASTOCTREE)
+    pal = q.getpalette("RGBA")
+    used = max(q.getdata()) + 1
+    return pal[:used*4], list(q.getdata())
+
+def pack_entries(entries, flags, palette_size):
+    # CEL3 body: palette, then columns (uvx, uvy, colour, channels)
+    body = bytearray()
+    indices = None
+    if flags & PACK_PALETTE:
+        pal, indices = build_palette(entries, palette_size)
+        body += struct.pack("<H", len(pal)//4) + bytes(pal)
+    for axis in (0, 1):
+        prev = 0
+        for e in entries:
+            q = int(round(e[axis]*65535))
+            body += struct.pack("<H", (q - prev) & 0xFFFF if flags & PACK_DELTA else q)
+            prev = q
+    if indices is not None:
+        body += bytes(indices)
+    else:
+        for (_,_,R,G,B,A,_) in entries: body += bytes((R,G,B,A))
+    for flag,fmt in CHANNEL_FMT:
+        if flags & flag:
+            for e in entries: body += struct.pack(fmt, *e[6][flag])
+    return zlib.compress(bytes(body), 9) if flags & PACK_DEFLATE else bytes(body)
+
+# --- Sampling modes (mirrors js/cells-sampling.js) -------------------------------------------
+# Kept grid cells act as a density field; samples take the colour/channels of the cell they land in.
+
+class PointGrid:
+    # Bucket hash for nearest-neighbour lookups over (x, y) points
+    def __init__(self, pts, size):
+        self.pts, self.size, self.buckets = pts, size, {}
+        for i,(x,y) in enumerate(pts):
+            self.buckets.setdefault((int(x//size), int(y//size)), []).append(i)
+    def nearest(self, x, y):
+        cx, cy = int(x//self.size), int(y//self.size)
+        best, best_d, ring = -1, float("inf"), 0
+        while best < 0 or ((ring-1)*self.size)**2 <= best_d:
+            for gy in range(cy-ring, cy+ring+1):
+                for gx in range(cx-ring, cx+ring+1):
+                    if max(abs(gx-cx), abs(gy-cy)) != ring: continue
+                    for i in self.buckets.get((gx,gy), ()):
+                        px,py = self.pts[i]
+                        d = (px-x)**2 + (py-y)**2
+                        if d < best_d: best, best_d = i, d
+            ring += 1
+        return best
+
+def importance_samples(pts, weights, n, cw, ch, rng):
+    picks = rng.choices(range(len(pts)), weights=weights, k=n)
+    return [(pts[i][0] + (rng.random()-0.5)*cw, pts[i][1] + (rng.random()-0.5)*ch) for i in picks]
+
+def bridson(pts, inside, aspect, radius, rng, tries=30):
+    cell = radius/math.sqrt(2)
+    grid, out = {}, []
+    def fits(x, y):
+        if not inside(x, y): return False
+        gx, gy = int(x//cell), int(y//cell)
+        for yy in range(gy-2, gy+3):
+            for xx in range(gx-2, gx+3):
+                p = grid.get((xx,yy))
+                if p is not None and (out[p][0]-x)**2 + (out[p][1]-y)**2 < radius*radius: return False
+        return True
+    def add(x, y):
+        grid[(int(x//cell), int(y//cell))] = len(out)
+        out.append((x,y))
+        return len(out)-1
+    # Every island gets seeded: walk the kept cells in random order
+    for sx,sy in rng.sample(pts, len(pts)):
+        if not fits(sx, sy): continue
+        active = [add(sx, sy)]
+        while active:
+            k = rng.randrange(len(active))
+            px,py = out[active[k]]
+            for _ in range(tries):
+                ang, dist = rng.random()*2*math.pi, radius*(1+rng.random())
+                x, y = px+math.cos(ang)*dist, py+math.sin(ang)*dist
+                if 0 <= x < aspect and 0 <= y < 1 and fits(x, y):
+                    active.append(add(x, y))
+                    break
+            else:
+                active.pop(k)
+    return out
+
+def resample(entries, wC, hC, mode, budget, seed, iters):
+    rng = random.Random(seed)
+    aspect = wC/hC
+    cw, ch = aspect/wC, 1/hC
+    pts = [(e[0]*aspect, e[1]) for e in entries]
+    weights = [luma(e[2],e[3],e[4])/255 * e[5]/255 + 1e-4 for e in entries]
+    mask = {(min(wC-1, int(e[0]*wC)), min(hC-1, int(e[1]*hC))): i for i,e in enumerate(entries)}
+    def cell_at(x, y): return mask.get((int(x/aspect*wC), int(y*hC)), -1)
+
+    if mode == "poisson":
+        # Radius from the covered area, shrunk until there are enough points; surplus dropped at random
+        radius = math.sqrt(2*len(pts)*cw*ch / (math.sqrt(3)*budget)) * 0.85
+        for _ in range(8):
+            samples = bridson(pts, lambda x,y: cell_at(x,y) >= 0, aspect, radius, rng)
+            if len(samples) >= budget: break
+            radius *= math.sqrt(len(samples)/budget) * 0.95
+        samples = rng.sample(samples, min(budget, len(samples)))
+        samples += importance_samples(pts, weights, budget-len(samples), cw, ch, rng)
+    else:
+        samples = importance_samples(pts, weights, budget, cw, ch, rng)
+        # Weighted Lloyd relaxation: each kept cell pulls its nearest stipple with its weight
+        for _ in range(iters if mode == "stipple" else 0):
+            grid = PointGrid(samples, math.sqrt(aspect*2/len(samples)))
+            acc = [[0.0,0.0,0.0] for _ in samples]
+            for (x,y),w in zip(pts, weights):
+                a = acc[grid.nearest(x, y)]
+                a[0] += x*w; a[1] += y*w; a[2] += w
+            samples = [(a[0]/a[2], a[1]/a[2]) if a[2] > 0 else s for s,a in zip(samples, acc)]
+
+    src_grid = PointGrid(pts, cw*4)
+    out = []
+    for x,y in samples:
+        x, y = min(max(x,0),aspect), min(max(y,0),1)
+        i = cell_at(x, y)
+        if i < 0: i = src_grid.nearest(x, y)
+        out.append((x/aspect, y) + entries[i][2:])
+    return out
+
 def main():
     ap = argparse.ArgumentParser()
     ap.add_argument("image")
@@ -17,7 +190,26 @@ def main():
     ap.add_argument("--black", type=int, default=10)
     ap.add_argument("--alpha", type=int, default=8)
     ap.add_argument("--preview", default=None)
+    # Sampling (default 'grid' = one cell per kept block)
+    ap.add_argument("--sample", choices=["grid","importance","poisson","stipple"], default="grid")
+    ap.add_argument("--budget", type=int, default=12000, help="exact particle count for non-grid sampling")
+    ap.add_argument("--seed", type=int, default=1)
+    ap.add_argument("--stipple-iters", type=int, default=8)
+    # CEL2 channels (any of these switches the output to CEL2)
+    ap.add_argument("--depth", default=None, help="greyscale depth map; mid grey = z 0")
+    ap.add_argument("--depth-scale", type=float, default=1.0)
+    ap.add_argument("--size-from", choices=["luma","alpha"], default=None)
+    ap.add_argument("--size-min", type=float, default=0.5, help="size weight at value 0 (1.0 at 255)")
+    ap.add_argument("--groups", default=None, help="label map; palette index or unique colour = group id")
+    ap.add_argument("--normals", action="store_true", help="derive normals from --depth")
+    # CEL3 packing (any of these switches the output to CEL3)
+    ap.add_argument("--pack", action="store_true", help="uint16-quantized uvs, columnar layout")
+    ap.add_argument("--palette", type=int, default=0, help="palette-index colours (2..256 entries)")
+    ap.add_argument("--delta", action="store_true", help="delta-code the quantized uvs")
+    ap.add_argument("--deflate", action="store_true", help="zlib-compress the packed body")
     a = ap.parse_args()
+    if a.normals and not a.depth: ap.error("--normals needs --depth")
+    if a.palette and not 2 <= a.palette <= 256: ap.error("--palette must be 2..256")
 
     img = Image.open(a.image).convert("RGBA")
     w,h = img.size
@@ -25,11 +217,24 @@ def main():
     img = img.crop((0,0,wC*a.block, hC*a.block))
     px = img.load()
 
+    flags = 0
+    if a.depth: flags |= FLAG_DEPTH
+    if a.size_from: flags |= FLAG_SIZE
+    if a.groups: flags |= FLAG_GROUP
+    if a.normals: flags |= FLAG_NORMAL
+
+    bs=a.block
+    depth_px = load_aux(a.depth, img).load() if a.depth else None
+    groups = group_ids(load_aux(a.groups, img, labels=True), wC, hC, bs) if a.groups else None
+
+    def depth_at(ix, jy):
+        ix = min(max(ix,0),wC-1); jy = min(max(jy,0),hC-1)
+        return (block_mean(depth_px, ix, jy, bs)/255.0 - 0.5) * a.depth_scale
+
     preview = Image.new("RGBA", img.size, (0,0,0,0)) if a.preview else None
     draw = ImageDraw.Draw(preview) if preview else None
 
     entries=[]
-    bs=a.block
     for jy in range(hC):
         for ix in range(wC):
             r=g=b=alp=0
@@ -41,18 +246,50 @@ def main():
             R=r//n; G=g//n; B=b//n; A=alp//n
             if A < a.alpha or luma(R,G,B) < a.black: continue
             u=(ix+0.5)/wC; v=(jy+0.5)/hC
-            entries.append((u,v,R,G,B,A))
-            if draw: draw.rectangle([ix*bs, jy*bs, ix*bs+bs-1, jy*bs+bs-1], fill=(R,G,B,255))
+            extra={}
+            if flags & FLAG_DEPTH: extra[FLAG_DEPTH]=(depth_at(ix,jy),)
+            if flags & FLAG_SIZE:
+                t=(luma(R,G,B) if a.size_from=="luma" else A)/255.0
+                extra[FLAG_SIZE]=(a.size_min + (1.0-a.size_min)*t,)
+            if flags & FLAG_GROUP: extra[FLAG_GROUP]=(groups[jy][ix] & 0xFFFF,)
+            if flags & FLAG_NORMAL:
+                # Central differences in cell units; z depth in the same units as uv (0..1 across)
+                dzdx=(depth_at(ix+1,jy)-depth_at(ix-1,jy))*wC/2
+                dzdy=(depth_at(ix,jy+1)-depth_at(ix,jy-1))*hC/2
+                nx,ny,nz=-dzdx,-dzdy,1.0
+                ln=math.sqrt(nx*nx+ny*ny+nz*nz)
+                extra[FLAG_NORMAL]=tuple(int(round(c/ln*127)) for c in (nx,ny,nz))
+            entries.append((u,v,R,G,B,A,extra))
+            if draw and a.sample == "grid": draw.rectangle([ix*bs, jy*bs, ix*bs+bs-1, jy*bs+bs-1], fill=(R,G,B,255))
+
+    if a.sample != "grid" and entries:
+        entries = resample(entries, wC, hC, a.sample, a.budget, a.seed, a.stipple_iters)
+        if draw:
+            for (u,v,R,G,B,A,_) in entries: draw.point((u*wC*bs, v*hC*bs), fill=(R,G,B,255))
+
+    packed = a.pack or a.palette or a.delta or a.deflate
+    if packed:
+        if a.palette: flags |= PACK_PALETTE
+        if a.delta: flags |= PACK_DELTA
+        if a.deflate: flags |= PACK_DEFLATE
+        magic, version = MAGIC_V3, "CEL3"
+    else:
+        magic, version = (MAGIC_V2, "CEL2") if flags else (MAGIC, "CEL1")
 
     os.makedirs(os.path.dirname(a.outbin) or ".", exist_ok=True)
     with open(a.outbin,"wb") as f:
-        f.write(struct.pack(HEADER_FMT, MAGIC, len(entries), wC, hC, bs, 0))
-        for (u,v,R,G,B,A) in entries:
-            f.write(struct.pack(ENTRY_FMT, float(u), float(v), R,G,B,A))
+        f.write(struct.pack(HEADER_FMT, magic, len(entries), wC, hC, bs, flags))
+        if packed:
+            f.write(pack_entries(entries, flags, a.palette))
+        else:
+            for (u,v,R,G,B,A,extra) in entries:
+                f.write(struct.pack(ENTRY_FMT, float(u), float(v), R,G,B,A))
+                for flag,fmt in CHANNEL_FMT:
+                    if flags & flag: f.write(struct.pack(fmt, *extra[flag]))
 
     if preview: preview.save(a.preview)
     sha=hashlib.sha256(open(a.outbin,"rb").read()).hexdigest()[:16]
-    print(f"cells.bin → {a.outbin}  count={len(entries)} grid={wC}x{hC} block={bs} sha={sha}")
+    print(f"cells.bin → {a.outbin}  {version} sample={a.sample} count={len(entries)} grid={wC}x{hC} block={bs} flags={flags:#x} sha={sha}")
     if a.preview: print(f"preview → {a.preview}")
 
 if __name__ == "__main__":
@@ -5,12 +5,17 @@
 
 import { WebGLRenderer, PerspectiveCamera, Scene, Clock } from 'three';
 import { LumaSplatsThree, LumaSplatsSemantics } from '@lumaai/luma-web';
+import { createSectionTracker } from './js/section-tracker.js';
+import { detectCapabilityTier } from './js/capability-tier.js';
+
+// ===== Capability tier (splatScroll.html only loads this page for tiers with motion) =====
+const tier = await detectCapabilityTier();
 
 // ===== Canvas / Renderer =====
 const canvas = document.getElementById('bg-splats');
 const renderer = new WebGLRenderer({ canvas, antialias: false, alpha: false });
 renderer.setSize(window.innerWidth, window.innerHeight, false);
-renderer.setPixelRatio(Math.min(devicePixelRatio, 2));
+renderer.setPixelRatio(Math.min(devicePixelRatio, tier.maxPixelRatio));
 renderer.setClearColor(0x000000, 1);
 
 const scene = new Scene();
@@ -390,27 +395,22 @@ function setActive(index) {
   }
 }
 
-// ===== Compute local t in [0,1] for a section =====
-function sectionProgress(el) {
-  const rect = el.getBoundingClientRect();
-  const vh = window.innerHeight;
-  // map: t=0 when top aligns with top; t=0.5 when center aligns with center; t=1 when bottom aligns with top
-  const raw = (vh - rect.top) / (vh + rect.height);
-  return clamp01(raw);
+// ===== Section tracking: cached geometry, updated on scroll/resize only =====
+const sectionTracker = createSectionTracker(sections);
+let closestIndex = sectionTracker.closest();
+sectionTracker.on('update', () => {
+  closestIndex = sectionTracker.closest();
+});
+
+// ===== Compute local t in [0,1] for section i =====
+// map: t=0 when top aligns with bottom; t=0.5 when center aligns with center; t=1 when bottom aligns with top
+function sectionProgress(i) {
+  return sectionTracker.progress(i);
 }
 
 // ===== Choose section closest to viewport center =====
 function closestSectionIndex() {
-  const centerY = window.innerHeight / 2;
-  let best = -1;
-  let bestDist = Infinity;
-  sections.forEach((el, i) => {
-    const rect = el.getBoundingClientRect();
-    const mid = rect.top + rect.height / 2;
-    const d = Math.abs(mid - centerY);
-    if (d < bestDist) { bestDist = d; best = i; }
-  });
-  return best;
+  return closestIndex;
 }
 
 // ===== Calculate Y rotation based on scroll progress =====
@@ -513,7 +513,7 @@ function startAutoAnimation() {
 function updateDebugDisplay() {
   // Update section progress values
   sections.forEach((section, i) => {
-    const t = sectionProgress(section);
+    const t = sectionProgress(i);
     const valueEl = document.getElementById(`value-sec-${i + 1}`);
     const sectionEl = document.getElementById(`debug-sec-${i + 1}`);
     if (valueEl) {
@@ -639,7 +639,7 @@ function loop() {
     
     // For sec-1, check if we should take over from auto-animation
     if (idx === 0 && videoHasPlayed) {
-      const scrollT = sectionProgress(sections[0]);
+      const scrollT = sectionProgress(0);
       
       // Only take control if scrolling beyond where auto-animation left off (0.5)
       // or if scrolling back up
@@ -668,7 +668,7 @@ function loop() {
       // Normal behavior for other sections
       setActive(idx);
       
-      const t = sectionProgress(sections[idx]);
+      const t = sectionProgress(idx);
       const target = sampleState(t);
       const active = splats[activeIndex];
       if (active) {
@@ -846,7 +846,7 @@ const debugToggle = setupDebugToggle();
 window.splats = {
   setActive,
   sampleState,
-  sectionProgress: (i) => sectionProgress(sections[i]),
+  sectionProgress,
   breakpoints,
   presets: PRESETS,
   camera,